@@ -1,13 +1,27 @@
 import React, { useEffect, useRef, useState } from "react";
 import { color, motion } from "framer-motion";
-import { Mic, Square, Volume2, Loader2, ArrowUp } from "lucide-react";
+import { Mic, Square, Volume2, VolumeX, Loader2, ArrowUp, History, Paperclip, FileText, AlertTriangle, RotateCcw } from "lucide-react";
+import { readSseEvents } from "./shared/sse.js";
+import { createAudioQueue } from "./lib/audioQueue.js";
+import { createVad } from "./lib/vad.js";
+import HistoryPanel from "./components/HistoryPanel.jsx";
+import LoginScreen from "./components/LoginScreen.jsx";
+import FeedbackBar from "./components/FeedbackBar.jsx";
+import SourceChips from "./components/SourceChips.jsx";
+import Markdown from "./components/Markdown.jsx";
+import SuggestionChips from "./components/SuggestionChips.jsx";
+import AttachmentTray from "./components/AttachmentTray.jsx";
+import { CLOSE_CODES, ERROR_CODES, PROTOCOL_VERSION, SERVER_MESSAGES, validateMessage } from "./shared/protocol.js";
 
-// Toby Clone Bot – Helport AI
+// Sales rep clone bots – Helport AI
 // Apple-inspired voice chat UI with proper logo reference
 // Use Vite env to override in dev if you don't set a proxy:
 const WS_URL = import.meta.env.VITE_WS_URL || "/api/voicechat";
-const ACCENT = "#00C389";
-const BG_GRADIENT = `radial-gradient(1200px 600px at 50% -200px, rgba(0,195,137,0.14), transparent),
+const DEFAULT_ACCENT = "#00C389";
+// The persona (name, avatar, voice, Dify app + inputs) comes from /api/bots; /bots/:slug picks one,
+// any other path gets the default bot. The Dify `user` comes from the signed-in identity on the server.
+const BOT_SLUG = (window.location.pathname.match(/^\/bots\/([^/]+)/) || [])[1] || "";
+const bgGradient = (accent) => `radial-gradient(1200px 600px at 50% -200px, ${accent}24, transparent),
                      radial-gradient(800px 400px at 90% -100px, rgba(99,102,241,0.10), transparent)`;
 
 
@@ -27,26 +41,98 @@ function pickAudioMime() {
   return ""; // let browser decide
 }
 
+// Swap the latest provisional assistant bubble for `next` (or append it if none is pending)
+function replaceProvisional(messages, next) {
+  const copy = messages.slice();
+  for (let i = copy.length - 1; i >= 0; i--) {
+    if (copy[i].role === "assistant" && copy[i].provisional) {
+      copy[i] = next;
+      return copy;
+    }
+  }
+  return [...copy, next];
+}
+
+// Put follow-up suggestions on the answer they belong to (the latest answer if no id was given)
+function attachSuggestions(messages, messageId, questions) {
+  const copy = messages.slice();
+  for (let i = copy.length - 1; i >= 0; i--) {
+    if (copy[i].role === "assistant" && (!messageId || copy[i].messageId === messageId)) {
+      copy[i] = { ...copy[i], suggestions: questions };
+      return copy;
+    }
+  }
+  return copy;
+}
+
+// Failures of an answer (as opposed to socket or mic trouble): shown as an error bubble with "Try again"
+const ANSWER_ERROR_CODES = new Set([ERROR_CODES.CHAT_FAILED, ERROR_CODES.UPSTREAM_ERROR, ERROR_CODES.UPSTREAM_TIMEOUT, ERROR_CODES.UPSTREAM_UNAVAILABLE]);
+
+// An Error carrying the server's error code (and retry_after, in seconds, when it sent one)
+function chatError(message, code = ERROR_CODES.CHAT_FAILED, retryAfter) {
+  return Object.assign(new Error(message), { code, retryAfter });
+}
+
+// Reconnect backoff for dropped voice sockets (ms)
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 10000;
+
+// File types the attach button offers; the server's UPLOAD_TYPES has the final say
+const UPLOAD_ACCEPT = ".pdf,.txt,.md,.csv,.docx,.xlsx,.png,.jpg,.jpeg,.webp,.gif";
+
+// Socket messages that belong to an answer; dropped between sending `cancel` and `interrupted`
+const ANSWER_MESSAGES = new Set(["partial_answer", "final_answer", "suggestions", "tts_chunk", "tts_url", "tts_end", "done"]);
+
 export default function App() {
   const [mode, setMode] = useState("voice"); // 'voice' or 'type'
   const [textInput, setTextInput] = useState("");
   const [connected, setConnected] = useState(false);
+  const [reconnecting, setReconnecting] = useState(false);
   const [recording, setRecording] = useState(false);
   const [sessionId, setSessionId] = useState("");
   const [messages, setMessages] = useState([]);
   const [inputFocused, setInputFocused] = useState(false);
+  const [attachments, setAttachments] = useState([]); // files for the next typed question, see AttachmentTray
   const [conversationId, setConversationId] = useState(() => {
     try { return localStorage.getItem("dify_conversation_id") || ""; } catch { return ""; }
   });
   const [status, setStatus] = useState("Ready");
+  const [speaking, setSpeaking] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Persona from the registry; `bot` stays null for an unknown slug once `loaded`
+  const [persona, setPersona] = useState({ loaded: false, bot: null });
+  // Sign-in: `required` when the server has auth enabled; `user` is the signed-in identity,
+  // `admin` whether it may open /admin
+  const [auth, setAuth] = useState({ checked: false, required: false, user: null, admin: false });
+  // Hands-free: VAD ends each utterance and the mic re-opens after the bot finishes speaking
+  const [handsFree, setHandsFree] = useState(false);
+  const [replyPending, setReplyPending] = useState(false);
+  // The bot's voice: sentence clips from tts_chunk play back to back
+  const [audioQueue] = useState(() => createAudioQueue({
+    onStart: () => setSpeaking(true),
+    onIdle: () => setSpeaking(false),
+  }));
 
   const wsRef = useRef(null);
+  // Resume state: the server replays events after lastSeq when we reconnect with our session id
+  const sessionIdRef = useRef("");
+  const lastSeqRef = useRef(0);
+  const reconnectRef = useRef({ attempt: 0, timer: null, manual: false });
   const mediaRecorderRef = useRef(/** @type {MediaRecorder|null} */(null));
   const streamRef = useRef(/** @type {MediaStream|null} */(null));
-  const audioRef = useRef(null);
+  const vadRef = useRef(null);
+  const rearmRef = useRef(false);
+  const startConversationRef = useRef(null);
   const scrollerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  // Barge-in bookkeeping: a voice turn is active from `stop` until `done`,
+  // answering while partial_answer text is still arriving
+  const turnActiveRef = useRef(false);
+  const answeringRef = useRef(false);
+  const interruptingRef = useRef(false);
   const API_BASE = import.meta.env.VITE_API_BASE || "";
-  const AVATAR_URL = "/toby.png"; // lives in /public
+  const bot = persona.bot;
+  const accent = bot?.accent || DEFAULT_ACCENT;
   const START_FRESH_ON_LOAD = true;
 
 
@@ -61,6 +147,27 @@ export default function App() {
     setStatus("Ready");
   }, []); // runs once after first render
 
+  useEffect(() => {
+    fetch(`${API_BASE}/api/auth/me`)
+      .then(async (resp) => {
+        const json = await resp.json().catch(() => ({}));
+        setAuth({ checked: true, required: resp.status === 401 || Boolean(json.auth), user: json.user || null, admin: Boolean(json.admin) });
+      })
+      .catch(() => setAuth({ checked: true, required: false, user: null, admin: false }));
+  }, [API_BASE]);
+
+  useEffect(() => {
+    const url = BOT_SLUG ? `${API_BASE}/api/bots/${encodeURIComponent(BOT_SLUG)}` : `${API_BASE}/api/bots`;
+    fetch(url)
+      .then(async (resp) => {
+        const json = resp.ok ? await resp.json() : null;
+        const found = BOT_SLUG ? json : json?.data?.find((b) => b.slug === json.default);
+        setPersona({ loaded: true, bot: found || null });
+        if (found) document.title = found.name;
+      })
+      .catch(() => setPersona({ loaded: true, bot: null }));
+  }, [API_BASE]);
+
   useEffect(() => {
     if (scrollerRef.current) {
       scrollerRef.current.scrollTo({ top: scrollerRef.current.scrollHeight, behavior: "smooth" });
@@ -74,13 +181,45 @@ export default function App() {
         mediaRecorderRef.current.stop();
       }
       streamRef.current?.getTracks()?.forEach(t => t.stop());
-      wsRef.current?.close?.();
+      vadRef.current?.stop();
+      closeSocket();
+      audioQueue.stop();
     };
-  }, []);
+  }, [audioQueue]);
+
+  // Persist the Dify thread so typed and voice turns continue it
+  const rememberConversation = (id) => {
+    setConversationId(id);
+    try { localStorage.setItem("dify_conversation_id", id); } catch {}
+  };
+
+  // Close on purpose (no reconnect)
+  const closeSocket = () => {
+    const rc = reconnectRef.current;
+    rc.manual = true;
+    clearTimeout(rc.timer);
+    setReconnecting(false);
+    // CLIENT_DONE tells the server not to keep the session for a reconnect
+    try { wsRef.current?.close?.(CLOSE_CODES.CLIENT_DONE, "closed by client"); } catch { /* already closed */ }
+  };
+
+  // Unexpected drop: retry with exponential backoff + jitter, resuming our session
+  const scheduleReconnect = () => {
+    const rc = reconnectRef.current;
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** rc.attempt) * (0.75 + Math.random() * 0.5);
+    rc.attempt++;
+    setReconnecting(true);
+    rc.timer = setTimeout(async () => {
+      if (!(await ensureSocket()) && !rc.manual) scheduleReconnect();
+    }, delay);
+  };
 
   // ----- WebSocket (optional) -----
   const ensureSocket = async () => {
     if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) return true;
+    const rc = reconnectRef.current;
+    clearTimeout(rc.timer);
+    rc.manual = false;
 
     return new Promise((resolve) => {
       let url = WS_URL;
@@ -88,6 +227,13 @@ export default function App() {
       if (WS_URL === "/api/voicechat" && (location.hostname === "localhost" || location.hostname === "127.0.0.1")) {
         url = "ws://localhost:3001/api/voicechat";
       }
+      const params = new URLSearchParams({ protocol: String(PROTOCOL_VERSION) });
+      if (bot) params.set("bot", bot.slug);
+      if (sessionIdRef.current) {
+        params.set("session_id", sessionIdRef.current);
+        params.set("last_seq", String(lastSeqRef.current));
+      }
+      url += `${url.includes("?") ? "&" : "?"}${params}`;
 
       let ws;
       try {
@@ -99,15 +245,66 @@ export default function App() {
       }
       wsRef.current = ws;
 
-      ws.onopen = () => { setConnected(true); resolve(true); };
-      ws.onclose = () => setConnected(false);
+      ws.onopen = () => {
+        rc.attempt = 0;
+        setConnected(true);
+        setReconnecting(false);
+        resolve(true);
+      };
+      ws.onclose = (ev) => {
+        setConnected(false);
+        if (wsRef.current !== ws) return; // superseded by a newer socket
+        if (ev.code === CLOSE_CODES.CLOSED_BY_OPERATOR) {
+          // An operator ended this session from /admin: stop the mic and stay offline until the next start
+          rc.manual = true;
+          rearmRef.current = false;
+          stopListening();
+          audioQueue.stop();
+          turnActiveRef.current = false;
+          answeringRef.current = false;
+          setReplyPending(false);
+          sessionIdRef.current = "";
+          lastSeqRef.current = 0;
+          setStatus("Session ended by an operator");
+          return;
+        }
+        if (!rc.manual) scheduleReconnect();
+      };
       ws.onerror = () => { setConnected(false); resolve(false); };
       ws.onmessage = (ev) => {
         if (typeof ev.data !== "string") return;
         try {
           const msg = JSON.parse(ev.data);
+          const problem = validateMessage(SERVER_MESSAGES, msg);
+          if (problem) {
+            console.warn(`Ignoring voice message (${problem.code}):`, problem.message, msg);
+            return;
+          }
+          // Replayed events we already handled before the reconnect
+          if (msg.event_seq) {
+            if (msg.event_seq <= lastSeqRef.current) return;
+            lastSeqRef.current = msg.event_seq;
+          }
+          if (interruptingRef.current && ANSWER_MESSAGES.has(msg.type)) return;
           switch (msg.type) {
-            case "session": setSessionId(msg.session_id || ""); break;
+            case "session":
+              if (msg.protocol_version !== PROTOCOL_VERSION) {
+                console.warn(`Voice server speaks protocol v${msg.protocol_version}, client expects v${PROTOCOL_VERSION}`);
+              }
+              if (!msg.resumed) {
+                // Fresh session (first connect, or the server forgot us): nothing will be replayed
+                lastSeqRef.current = 0;
+                if (sessionIdRef.current) {
+                  interruptingRef.current = false;
+                  turnActiveRef.current = false;
+                  answeringRef.current = false;
+                  setReplyPending(false);
+                  setStatus((s) => (s.includes("Thinking") || s.includes("Answering") ? "Connection lost, please ask again" : s));
+                }
+              }
+              sessionIdRef.current = msg.session_id;
+              setSessionId(msg.session_id);
+              break;
             case "partial_transcript": {
                 setStatus("Listening…");
                 setMessages((m) => {
@@ -128,6 +325,11 @@ export default function App() {
               setMessages((m) => {
                 const copy = m.slice();
                 const last = copy[copy.length - 1];
+                if (!msg.text) {
+                  // Nothing recognized: drop the provisional bubble instead of finalizing "…"
+                  if (last && last.role === "user" && last.provisional) copy.pop();
+                  return copy;
+                }
                 if (last && last.role === "user" && last.provisional) {
                   // Finalize the provisional
                   copy[copy.length - 1] = { role: "user", text: msg.text || last.text };
@@ -140,6 +342,7 @@ export default function App() {
               break;
             }
             case "partial_answer":
+              answeringRef.current = true;
               setStatus("Answering…");
               setMessages(m => {
                 const last = m[m.length - 1];
@@ -150,30 +353,96 @@ export default function App() {
               });
               break;
             case "final_answer":
+              answeringRef.current = false;
+              if (msg.conversation_id) rememberConversation(msg.conversation_id);
               setMessages(m => {
                 const copy = m.slice();
                 for (let i = copy.length - 1; i >= 0; i--) {
-                  if (copy[i].role === "assistant") { copy[i] = { role: "assistant", text: msg.text }; break; }
+                  if (copy[i].role === "assistant") { copy[i] = { role: "assistant", text: msg.text, messageId: msg.message_id, citations: msg.citations }; break; }
                 }
                 return copy;
               });
               setStatus("Ready");
               break;
+            case "suggestions":
+              setMessages((m) => attachSuggestions(m, msg.message_id, msg.questions));
+              break;
+            case "tts_chunk":
             case "tts_url":
-              if (audioRef.current) {
-                audioRef.current.src = msg.url;
-                audioRef.current.play().catch(() => {});
+              // Server-hosted clips are relative (/api/tts/:id)
+              audioQueue.enqueue(msg.url.startsWith("/") ? `${API_BASE}${msg.url}` : msg.url);
+              break;
+            case "timeout":
+              // Server hit its max utterance length and is answering what it has
+              stopListening();
+              setStatus("Thinking…");
+              break;
+            case "error":
+              console.warn(`Voice server error [${msg.code}]:`, msg.message);
+              setStatus(`Error: ${msg.message}`);
+              // Not our thread (e.g. saved by another account): the next question starts a new one
+              if (msg.code === ERROR_CODES.UNKNOWN_CONVERSATION) rememberConversation("");
+              if (ANSWER_ERROR_CODES.has(msg.code)) {
+                // The answer failed: an error bubble (replacing any partial answer) the user can retry
+                answeringRef.current = false;
+                setMessages((m) => {
+                  const last = m[m.length - 1];
+                  const question = [...m].reverse().find((x) => x.role === "user" && !x.provisional);
+                  const bubble = { role: "assistant", text: msg.message, error: msg.code, retry: question ? { query: question.text } : null };
+                  return last?.role === "assistant" && !last.messageId ? [...m.slice(0, -1), bubble] : [...m, bubble];
+                });
               }
               break;
-            case "done": setStatus("Ready"); break;
+            case "rate_limited":
+              // Over a per-user limit: close the mic and stop hands-free until the user tries again
+              console.warn(`Voice rate limited [${msg.reason}], retry after ${msg.retry_after}s`);
+              rearmRef.current = false;
+              stopListening();
+              // Too many sessions: the server closes this socket, reconnecting would only hit it again
+              if (msg.reason === "voice_sessions") closeSocket();
+              setStatus(`Limit reached: ${msg.message}`);
+              break;
+            case "interrupted": interruptingRef.current = false; break;
+            case "done":
+              turnActiveRef.current = false;
+              setReplyPending(false);
+              setStatus((s) => (s.startsWith("Error") || s.startsWith("Limit") ? s : "Ready"));
+              break;
           }
-        } catch {}
+        } catch (err) {
+          console.warn("Bad voice message:", err, ev.data);
+        }
       };
     });
   };
 
+  // ----- Barge-in: silence the bot and cancel whatever the server still produces for the last turn -----
+  const interrupt = () => {
+    audioQueue.stop();
+    if (!turnActiveRef.current) return;
+    turnActiveRef.current = false;
+    setReplyPending(false);
+
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      interruptingRef.current = true;
+      wsRef.current.send(JSON.stringify({ type: "cancel" }));
+    }
+    if (answeringRef.current) {
+      answeringRef.current = false;
+      setMessages((m) => {
+        const copy = m.slice();
+        const last = copy[copy.length - 1];
+        if (last?.role === "assistant") copy[copy.length - 1] = { ...last, interrupted: true };
+        return copy;
+      });
+    }
+  };
+
   // ----- Start mic + (optionally) WS -----
   const startConversation = async () => {
+    // Pressing the mic while the bot talks (or is still answering) cuts it off
+    audioQueue.unlock();
+    interrupt();
     try {
       // Mic first (so UI toggles even if WS fails)
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -190,11 +459,11 @@ export default function App() {
       // Connect WS in the background (optional)
       const ok = await ensureSocket();
       if (ok && wsRef.current?.readyState === WebSocket.OPEN) {
+        // Voice and app inputs come from the bot on the server
         wsRef.current.send(JSON.stringify({
           type: "start",
-          voice_id: "top-sales-voice-001",
-          temperature: 0.2,
-          session_id: sessionId || undefined
+          mime_type: mr.mimeType || mime,
+          conversation_id: conversationId || undefined
         }));
       }
 
@@ -206,11 +475,18 @@ export default function App() {
       mr.onstop = () => {
         if (wsRef.current?.readyState === WebSocket.OPEN) {
           wsRef.current.send(JSON.stringify({ type: "stop" }));
+          turnActiveRef.current = true;
+          setReplyPending(true);
         }
         setStatus("Thinking…");
       };
 
       mr.start(220); // low-latency chunks
+
+      if (handsFree) {
+        rearmRef.current = true;
+        vadRef.current = createVad(stream, { onSpeechEnd: stopListening });
+      }
     } catch (err) {
       console.error(err);
       setStatus(`Mic error: ${err?.name || err?.message || err}`);
@@ -220,34 +496,106 @@ export default function App() {
     }
   };
 
+  // Latest startConversation for effects (it closes over per-render state)
+  startConversationRef.current = startConversation;
+
   // ----- Send typed message -----
   const sendTextMessage = async () => {
-    if (!textInput?.trim()) return;
+    if (!textInput?.trim() || attachments.some((a) => a.status === "uploading")) return;
+    const ready = attachments.filter((a) => a.status === "ready");
+    clearAttachments();
+    await askText(textInput, ready);
+    setTextInput("");
+  };
+
+  const askText = async (query, files = []) => {
     // Optimistically append user message
     setMessages(m => {
       // Append user message, then a provisional assistant 'thinking' bubble
-      return [...m, { role: "user", text: textInput }, { role: "assistant", text: "Thinking…", provisional: true }];
+      const sent = files.map((f) => ({ name: f.name, type: f.file.type }));
+      return [...m, { role: "user", text: query, files: sent }, { role: "assistant", text: "Thinking…", provisional: true }];
     });
     setStatus("Thinking…");
 
-    await runChat(textInput);
+    await runChat(query, files.map((f) => f.file));
+  };
 
-    setTextInput("");
+  // ----- Attachments: uploaded as soon as they are picked, sent with the next typed question -----
+  const attachFiles = (fileList) => {
+    for (const file of fileList) {
+      const key = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      const previewUrl = file.type.startsWith("image/") ? URL.createObjectURL(file) : null;
+      setAttachments((list) => [...list, { key, name: file.name, size: file.size, previewUrl, status: "uploading" }]);
+      uploadAttachment(file).then(
+        (uploaded) => updateAttachment(key, { status: "ready", file: uploaded }),
+        (err) => updateAttachment(key, { status: "failed", error: err?.message || String(err) })
+      );
+    }
   };
 
-  // ----- Call Dify Chatflow via server proxy (blocking) -----
-  const runChat = async (query) => {
+  const uploadAttachment = async (file) => {
+    const params = new URLSearchParams({ name: file.name });
+    if (bot) params.set("bot", bot.slug);
+    const resp = await fetch(`${API_BASE}/api/upload?${params}`, {
+      method: "POST",
+      headers: { "Content-Type": file.type || "application/octet-stream" },
+      body: file,
+    });
+    const json = await resp.json().catch(() => null);
+    if (resp.status === 401) setAuth((a) => ({ ...a, user: null }));
+    if (!resp.ok) throw new Error(json?.error || `Upload failed (HTTP ${resp.status})`);
+    return json; // { id, name, size, mime_type, type }
+  };
+
+  const updateAttachment = (key, patch) => {
+    setAttachments((list) => list.map((a) => (a.key === key ? { ...a, ...patch } : a)));
+  };
+
+  const removeAttachment = (key) => {
+    setAttachments((list) => {
+      const gone = list.find((a) => a.key === key);
+      if (gone?.previewUrl) URL.revokeObjectURL(gone.previewUrl);
+      return list.filter((a) => a.key !== key);
+    });
+  };
+
+  const clearAttachments = () => {
+    setAttachments((list) => {
+      list.forEach((a) => a.previewUrl && URL.revokeObjectURL(a.previewUrl));
+      return [];
+    });
+  };
+
+  // Voice mode: ask over the socket so the answer is spoken, as if it had been said
+  const askAloud = async (query) => {
+    audioQueue.unlock();
+    interrupt();
+    if (!(await ensureSocket())) return askText(query); // no voice server: answer in text instead
+    setMessages((m) => [...m, { role: "user", text: query }]);
+    wsRef.current.send(JSON.stringify({ type: "text", text: query, conversation_id: conversationId || undefined }));
+    turnActiveRef.current = true;
+    setReplyPending(true);
+    setStatus("Thinking…");
+  };
+
+  // A suggested follow-up was picked
+  const askSuggestion = (question) => (mode === "voice" ? askAloud(question) : askText(question));
+
+  // "Try again" on a failed answer: the same question, with the same files, once more
+  const retryAnswer = ({ query, files = [] }) =>
+    mode === "voice" ? askAloud(query) : askText(query, files.map((file) => ({ name: file.name, file })));
+
+  // ----- Ask the bot via the server proxy (streaming SSE, JSON fallback) -----
+  const runChat = async (query, files = []) => {
     setStatus("Chatflow…");
+    let requestId = null; // X-Request-Id, to find this call in the server log
     try {
       const body = {
         query: query,
-        inputs: {
-          // carry forward any app vars you used in workflow, e.g. datasets, toggles, etc.
-          qa_dataset_id: "a034b9b4-9b64-40d2-b3c1-951281f84dc6",
-        },
+        bot: bot?.slug,
+        files: files.length ? files.map((f) => ({ id: f.id, type: f.type })) : undefined,
         conversation_id: conversationId || undefined,
-        user: "Enoch@HELPORT.AI",
-        response_mode: "blocking",
+        response_mode: "streaming",
       };
 
       const resp = await fetch(`${API_BASE}/api/chat`, {
@@ -255,49 +603,77 @@ export default function App() {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(body),
       });
-      const json = await resp.json();
-
-      // Dify Chatflow commonly returns: { answer, conversation_id, ... }
-      const answer =
-        (typeof json?.answer === "string" && json.answer) ||
-        (typeof json?.data?.answer === "string" && json.data.answer) ||
-        // fallback if a tool returns a structured output
-        JSON.stringify(json, null, 2);
-
-      if (json?.conversation_id && json.conversation_id !== conversationId) {
-        setConversationId(json.conversation_id);
-        try { localStorage.setItem("dify_conversation_id", json.conversation_id); } catch {}
+      requestId = resp.headers.get("X-Request-Id");
+      if (resp.status === 401) {
+        setAuth((a) => ({ ...a, user: null }));
+        throw chatError("Please sign in again", "unauthorized");
+      }
+      if (resp.status === 429) {
+        const json = await resp.json().catch(() => ({}));
+        throw chatError(json.error || `Too many requests, try again in ${resp.headers.get("Retry-After") || "a few"}s`, "rate_limited");
       }
 
-      setMessages((m) => {
-        const copy = m.slice();
-        for (let i = copy.length - 1; i >= 0; i--) {
-          if (copy[i].role === "assistant" && copy[i].provisional) {
-            copy[i] = { role: "assistant", text: String(answer) };
-            return copy;
+      let answer = "";
+      let newConversationId = "";
+      let messageId = "";
+      let citations = [];
+      let suggestions = [];
+
+      if ((resp.headers.get("content-type") || "").includes("text/event-stream")) {
+        // Fill in the provisional bubble token by token, like WS partial_answer
+        for await (const { data } of readSseEvents(resp.body)) {
+          let evt;
+          try { evt = JSON.parse(data); } catch { continue; }
+          if (evt.conversation_id) newConversationId = evt.conversation_id;
+          if (evt.message_id) messageId = evt.message_id;
+
+          if (evt.event === "message") {
+            answer += evt.answer || "";
+            setStatus("Answering…");
+            setMessages((m) => replaceProvisional(m, { role: "assistant", text: answer || "…", provisional: true, streaming: true }));
+          } else if (evt.event === "message_end") {
+            citations = evt.citations || [];
+          } else if (evt.event === "suggestions") {
+            suggestions = evt.questions || [];
+          } else if (evt.event === "error") {
+            throw chatError(evt.message || "The answer was cut off. Please try again.", evt.code, evt.retry_after);
           }
         }
-        return [...m, { role: "assistant", text: String(answer) }];
-      });
+      } else {
+        // Normalized reply { answer, conversation_id, message_id, citations, usage, suggestions }, or { error, code }
+        const json = await resp.json().catch(() => null);
+        if (!resp.ok || typeof json?.answer !== "string") {
+          throw chatError(json?.error || `No answer in the response (HTTP ${resp.status})`, json?.code, json?.retry_after);
+        }
+        answer = json.answer;
+        newConversationId = json.conversation_id || "";
+        messageId = json.message_id || "";
+        citations = json.citations || [];
+        suggestions = json.suggestions || [];
+      }
+
+      if (newConversationId && newConversationId !== conversationId) rememberConversation(newConversationId);
+
+      setMessages((m) => replaceProvisional(m, { role: "assistant", text: String(answer), messageId, citations, suggestions }));
       setStatus("Ready");
     } catch (err) {
-      setMessages((m) => {
-        const copy = m.slice();
-        for (let i = copy.length - 1; i >= 0; i--) {
-          if (copy[i].role === "assistant" && copy[i].provisional) {
-            copy[i] = { role: "assistant", text: `Chatflow error: ${err?.message || err}` };
-            return copy;
-          }
-        }
-        return [...m, { role: "assistant", text: `Chatflow error: ${err?.message || err}` }];
-      });
-      setStatus(`Chatflow error: ${err?.message || err}`);
+      // fetch() itself failing means the server is out of reach, not the bot
+      const failure = err instanceof TypeError ? chatError("Could not reach the server. Check your connection and try again.") : err;
+      const code = failure.code || ERROR_CODES.CHAT_FAILED;
+      console.warn(`Chat failed [${code}]${requestId ? ` (request ${requestId})` : ""}:`, err);
+      if (code === ERROR_CODES.UNKNOWN_CONVERSATION) rememberConversation("");
+      const retry = ANSWER_ERROR_CODES.has(code) ? { query, files } : null;
+      setMessages((m) => replaceProvisional(m, { role: "assistant", text: failure.message, error: code, retry }));
+      setStatus(failure.retryAfter ? `Unavailable, try again in ${failure.retryAfter}s` : "Error");
     }
   };
 
 
   // ----- End mic -----
-  const endConversation = () => {
+  // Close the current utterance (recorder onstop sends `stop`); hands-free mode re-arms later
+  const stopListening = () => {
+    vadRef.current?.stop();
+    vadRef.current = null;
     try {
       if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
         mediaRecorderRef.current.stop();
@@ -307,12 +683,27 @@ export default function App() {
     streamRef.current?.getTracks()?.forEach(t => t.stop());
     streamRef.current = null;
     setRecording(false);
+  };
+
+  const endConversation = () => {
+    rearmRef.current = false;
+    stopListening();
     setStatus("Ready");
   };
 
-  // put inside your App component
-  const newConversation = () => {
+  // Hands-free: re-open the mic once the reply has been answered and played
+  useEffect(() => {
+    if (!rearmRef.current || !handsFree || mode !== "voice" || recording || replyPending || speaking) return;
+    rearmRef.current = false; // startConversation sets it again; avoids double starts while the mic opens
+    startConversationRef.current();
+  }, [handsFree, mode, recording, replyPending, speaking]);
+
+  // Tear down mic, playback and the voice session before switching threads
+  const stopVoiceSession = () => {
     // Stop mic cleanly if recording
+    rearmRef.current = false;
+    vadRef.current?.stop();
+    vadRef.current = null;
     try {
       if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
         mediaRecorderRef.current.stop();
@@ -321,9 +712,21 @@ export default function App() {
     streamRef.current?.getTracks()?.forEach(t => t.stop());
     streamRef.current = null;
     setRecording(false);
+    audioQueue.stop();
+    turnActiveRef.current = false;
+    answeringRef.current = false;
+    interruptingRef.current = false;
+    setReplyPending(false);
 
-    // Optionally close the WS session (not required for Dify new chat, but tidy)
-    try { wsRef.current?.close?.(); } catch {}
+    // Close the WS session too; the next start opens a fresh one
+    closeSocket();
+    sessionIdRef.current = "";
+    lastSeqRef.current = 0;
+  };
+
+  // put inside your App component
+  const newConversation = () => {
+    stopVoiceSession();
 
     // Clear persisted conversation id (and any timestamp you might add later)
     try {
@@ -334,6 +737,41 @@ export default function App() {
     // Reset UI state
     setConversationId("");
     setMessages([]);
+    clearAttachments();
+    setStatus("Ready");
+  };
+
+  const signOut = async () => {
+    try { await fetch(`${API_BASE}/api/auth/logout`, { method: "POST" }); } catch { /* cookie is cleared server-side */ }
+    newConversation();
+    setAuth((a) => ({ ...a, user: null, admin: false }));
+  };
+
+  // Thumbs up/down on an answer (optimistic; rolled back if the server refuses)
+  const sendFeedback = async (messageId, rating, comment) => {
+    const setRating = (value) =>
+      setMessages((m) => m.map((msg) => (msg.messageId === messageId ? { ...msg, feedback: value } : msg)));
+    const previous = messages.find((msg) => msg.messageId === messageId)?.feedback;
+    setRating(rating || undefined);
+    try {
+      const resp = await fetch(`${API_BASE}/api/feedback`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ message_id: messageId, rating, comment: comment || undefined, bot: bot?.slug }),
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    } catch (err) {
+      console.warn("Feedback not saved:", err);
+      setRating(previous);
+    }
+  };
+
+  // Resume a past thread picked in the history panel
+  const openConversation = (convo) => {
+    stopVoiceSession();
+    rememberConversation(convo.id);
+    setMessages(convo.turns.map((t) => ({ role: t.role, text: t.text, messageId: t.message_id, citations: t.citations, feedback: t.feedback?.rating })));
+    setHistoryOpen(false);
     setStatus("Ready");
   };
 
@@ -363,12 +801,12 @@ export default function App() {
     <div style={styles.emptyText}>
       {mode === "voice" ? (
         <>
-          Click <span style={{ fontWeight: 600, color: ACCENT }}>Start conversation</span> and speak — we’ll transcribe, retrieve, and reply.
+          Click <span style={{ fontWeight: 600, color: accent }}>Start conversation</span> and speak — we’ll transcribe, retrieve, and reply.
         </>
       ) : (
         <>
           <div>
-            Type a question below and press <span style={{ fontWeight: 600, color: ACCENT }}>Enter</span> — we’ll retrieve and reply.
+            Type a question below and press <span style={{ fontWeight: 600, color: accent }}>Enter</span> — we’ll retrieve and reply.
           </div>
         </>
       )}
@@ -380,7 +818,7 @@ export default function App() {
   const styles = {
     page: {
       minHeight: "100vh",
-      backgroundImage: BG_GRADIENT,
+      backgroundImage: bgGradient(accent),
       backgroundColor: "#ffffff",
       color: "#0a0a0a",
       display: "flex",
@@ -396,6 +834,21 @@ export default function App() {
       gap: 12,
     },
     brand: { height: 36 },
+    linkBtn: { border: "none", background: "none", padding: 0, font: "inherit", color: "inherit", textDecoration: "underline", cursor: "pointer" },
+    historyBtn: {
+      display: "inline-flex",
+      alignItems: "center",
+      gap: 6,
+      marginLeft: 8,
+      border: `1px solid ${accent}`,
+      borderRadius: 30,
+      padding: "6px 12px",
+      fontSize: 13,
+      fontWeight: 600,
+      color: accent,
+      background: "#ffffff",
+      cursor: "pointer",
+    },
     spacer: { marginLeft: "auto", fontSize: 12, opacity: 0.6 },
     hero: { maxWidth: 820, width: "100%", margin: "0 auto 16px", padding: "0 20px", textAlign: "center" },
     h1: { fontSize: 36, fontWeight: 600, letterSpacing: -0.4, margin: 0 },
@@ -413,16 +866,38 @@ export default function App() {
     emptyText: { opacity: 0.6, fontSize: 18, textAlign: 'center' },
     row: (justify) => ({ display: "flex", justifyContent: justify, marginBottom: 10 }),
     bubble: (me, provisional) => ({
-      background: me ? ACCENT : "rgba(255,255,255,0.95)",
+      background: me ? accent : "rgba(255,255,255,0.95)",
       color: me ? "white" : "#0a0a0a",
       borderRadius: 18,
       padding: "10px 14px",
       maxWidth: "85%",
       boxShadow: "0 1px 6px rgba(0,0,0,0.06)",
-      whiteSpace: "pre-wrap",
+      whiteSpace: me ? "pre-wrap" : "normal",  // assistant text is Markdown, which handles its own line breaks
       opacity: provisional ? 0.7 : 1,          // <— dim while provisional
       fontStyle: provisional ? "italic" : "normal",
     }),
+    errorBubble: {
+      background: "#fff1f0",
+      color: "#b42318",
+      border: "1px solid rgba(255,69,58,0.35)",
+      borderRadius: 18,
+      padding: "10px 14px",
+      maxWidth: "85%",
+    },
+    errorText: { display: "flex", gap: 8, alignItems: "flex-start", lineHeight: 1.4 },
+    retryBtn: {
+      display: "inline-flex",
+      alignItems: "center",
+      gap: 6,
+      marginTop: 8,
+      padding: "4px 10px",
+      fontSize: 12,
+      borderRadius: 12,
+      border: "1px solid rgba(180,35,24,0.4)",
+      background: "#ffffff",
+      color: "#b42318",
+      cursor: "pointer",
+    },
     controls: {
       display: "flex",
       alignItems: "center",
@@ -440,10 +915,24 @@ export default function App() {
       fontSize: 14,
       fontWeight: 600,
       color: "#fff",
-      background: danger ? "#ff453a" : ACCENT,
+      background: danger ? "#ff453a" : accent,
       cursor: "pointer",
       boxShadow: "0 4px 12px rgba(0,0,0,0.12)",
     }),
+    cutOff: { fontSize: 12, fontStyle: "italic", opacity: 0.5 },
+    bubbleFiles: { display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 },
+    bubbleFile: { display: "inline-flex", alignItems: "center", gap: 4, fontSize: 12, padding: "2px 8px", borderRadius: 10, background: "rgba(255,255,255,0.2)" },
+    attach: {
+      display: "inline-flex",
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 12,
+      borderRadius: 30,
+      border: `1px solid ${accent}`,
+      background: "#ffffff",
+      color: accent,
+      cursor: "pointer",
+    },
     status: { fontSize: 12, opacity: 0.7, display: "inline-flex", alignItems: "center", gap: 6 },
     footer: { maxWidth: 1100, width: "100%", margin: "0 auto", padding: "32px 20px", textAlign: "center", fontSize: 12, opacity: 0.6 },
 
@@ -472,18 +961,18 @@ export default function App() {
       fontWeight: 400,
       color: "#0a0a0a",
       boxShadow: "0 4px 12px rgba(0,0,0,0.12)",
-      border: `1px solid ${ACCENT}`
+      border: `1px solid ${accent}`
     },
     inputFocused: {
-      border: `1px solid ${ACCENT}`,       // green border
-      boxShadow: `0 0 0 4px rgba(0,195,137,0.15) inset`, // soft glow
+      border: `1px solid ${accent}`,       // accent border
+      boxShadow: `0 0 0 4px ${accent}26 inset`, // soft glow
     },
 
     // in styles
     toggle: {
       display: "flex",
       alignItems: "center",
-      border: `1px solid ${ACCENT}`,
+      border: `1px solid ${accent}`,
       borderRadius: 30,
       overflow: "hidden",
       background: "#ffffff",
@@ -498,7 +987,7 @@ export default function App() {
       fontWeight: 600,
       border: "none",
       background: "transparent",
-      color: ACCENT,
+      color: accent,
       cursor: "pointer",
       lineHeight: 1,
       textAlign: "center",
@@ -506,7 +995,7 @@ export default function App() {
       boxShadow: "none",
     },
     toggleBtnActive: {
-      background: ACCENT,
+      background: accent,
       color: "#ffffff",
     },
 
@@ -515,21 +1004,70 @@ export default function App() {
 
   };
 
+  if (persona.loaded && !bot) {
+    return (
+      <div style={styles.page}>
+        <section style={{ ...styles.hero, marginTop: 120 }}>
+          <h1 style={styles.h1}>Bot not found</h1>
+          <p style={styles.p}>There is no bot at this address. <a href="/" style={{ color: accent }}>Go to the default bot</a></p>
+        </section>
+      </div>
+    );
+  }
+
+  if (auth.required && !auth.user) {
+    return (
+      <div style={styles.page}>
+        <LoginScreen apiBase={API_BASE} accent={accent} onSignedIn={(user, admin) => setAuth((a) => ({ ...a, user, admin }))} />
+      </div>
+    );
+  }
+
   return (
     <div style={styles.page}>
       {/* Top Bar */}
       <div style={styles.topbar}>
         {/* Put your logo at public/helport.png */}
         <img src="/helport.png" alt="Helport AI" style={styles.brand} />
-        <div style={styles.spacer}>Session: {sessionId || "new"} · {connected ? "Online" : "Offline"}</div>
+        {/* History is per signed-in user; without sign-in the server keeps it closed */}
+        {auth.user && (
+          <button onClick={() => setHistoryOpen(true)} style={styles.historyBtn} aria-label="Show conversation history">
+            <History size={16} /> History
+          </button>
+        )}
+        <div style={styles.spacer}>
+          {auth.user && (
+            <>
+              {auth.user.name}{auth.user.kind === "guest" ? " (guest)" : ""} ·{" "}
+              <button onClick={signOut} style={styles.linkBtn}>Sign out</button> ·{" "}
+            </>
+          )}
+          {auth.admin && <><a href="/admin" style={{ color: "inherit" }}>Admin</a> · </>}
+          Session: {sessionId || "new"} · {connected ? "Online" : reconnecting ? "Reconnecting…" : "Offline"}
+        </div>
       </div>
 
+      <HistoryPanel
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        apiBase={API_BASE}
+        bot={bot?.slug}
+        activeId={conversationId}
+        accent={accent}
+        onOpen={openConversation}
+        onDeleted={(id) => { if (id === conversationId) newConversation(); }}
+      />
+
       {/* Hero */}
       <section style={styles.hero}>
-        <motion.h1 initial={{opacity:0,y:6}} animate={{opacity:1,y:0}} style={styles.h1}>Toby Clone Bot</motion.h1>
-        <motion.p initial={{opacity:0,y:6}} animate={{opacity:1,y:0}} style={styles.p}>
-          Voice demo of our sales knowledge base — ask anything and hear the answer in Toby&apos;s voice.
-        </motion.p>
+        {bot && (
+          <>
+            <motion.h1 initial={{opacity:0,y:6}} animate={{opacity:1,y:0}} style={styles.h1}>{bot.name}</motion.h1>
+            {bot.tagline && (
+              <motion.p initial={{opacity:0,y:6}} animate={{opacity:1,y:0}} style={styles.p}>{bot.tagline}</motion.p>
+            )}
+          </>
+        )}
       </section>
 
       {/* Card */}
@@ -539,28 +1077,68 @@ export default function App() {
           <div ref={scrollerRef} style={styles.scroll}>
             {messages.length === 0 ? (
               <div style={{ height: "100%", display: "grid", placeItems: "center" }}>
-                <EmptyHint />
+                <div>
+                  {bot?.greeting && (
+                    <div style={styles.rowWithAvatar}>
+                      <img src={bot.avatar} alt={bot.name} style={styles.avatar} />
+                      <div style={styles.bubble(false, false)}>
+                        <Markdown text={bot.greeting} />
+                      </div>
+                    </div>
+                  )}
+                  <EmptyHint />
+                </div>
               </div>
             ) : (
               <div>
                 {messages.map((m, i) => (
-                  <motion.div
-                    key={i}
-                    initial={{ opacity: 0, y: 4 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    style={m.role === "assistant" ? styles.rowWithAvatar : styles.row("flex-end")}
-                  >
-                    {m.role === "assistant" && <img src={AVATAR_URL} alt="Agent" style={styles.avatar} />}
-
-                    <div style={styles.bubble(m.role === "user", m.provisional)}>
-                      {m.text}
-                    </div>
-                  </motion.div>
+                  <React.Fragment key={i}>
+                    <motion.div
+                      initial={{ opacity: 0, y: 4 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      style={m.role === "assistant" ? styles.rowWithAvatar : styles.row("flex-end")}
+                    >
+                      {m.role === "assistant" && bot && <img src={bot.avatar} alt={bot.name} style={styles.avatar} />}
+
+                      <div style={m.error ? styles.errorBubble : styles.bubble(m.role === "user", m.provisional && !m.streaming)}>
+                        {m.error ? (
+                          <span style={styles.errorText}><AlertTriangle size={14} style={{ flexShrink: 0, marginTop: 2 }} /> {m.text}</span>
+                        ) : m.role === "assistant" ? (
+                          <Markdown text={m.text} />
+                        ) : (
+                          m.text
+                        )}
+                        {m.error && m.retry && i === messages.length - 1 && !replyPending && (
+                          <button onClick={() => retryAnswer(m.retry)} style={styles.retryBtn}>
+                            <RotateCcw size={12} /> Try again
+                          </button>
+                        )}
+                        {m.files?.length > 0 && (
+                          <div style={styles.bubbleFiles}>
+                            {m.files.map((f, j) => (
+                              <span key={j} style={styles.bubbleFile}><FileText size={12} /> {f.name}</span>
+                            ))}
+                          </div>
+                        )}
+                        {m.interrupted && <span style={styles.cutOff}> — cut off</span>}
+                      </div>
+                    </motion.div>
+                    {m.role === "assistant" && <SourceChips citations={m.citations} accent={accent} />}
+                    {m.role === "assistant" && m.messageId && (
+                      <FeedbackBar rating={m.feedback} accent={accent} onRate={(rating, comment) => sendFeedback(m.messageId, rating, comment)} />
+                    )}
+                    {/* Follow-ups only for the latest answer, and not while the user is talking or waiting */}
+                    {i === messages.length - 1 && m.role === "assistant" && !m.provisional && !recording && !replyPending && (
+                      <SuggestionChips questions={m.suggestions} accent={accent} onPick={askSuggestion} />
+                    )}
+                  </React.Fragment>
                 ))}
               </div>
             )}
           </div>
 
+          {mode === "type" && <AttachmentTray attachments={attachments} accent={accent} onRemove={removeAttachment} />}
+
           {/* Controls */}
           <div style={styles.controls}>
             <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
@@ -583,6 +1161,16 @@ export default function App() {
                   Text
                 </button>
               </div>
+              {mode === "voice" && (
+                <button
+                  onClick={() => setHandsFree((v) => !v)}
+                  aria-pressed={handsFree}
+                  title="Detect the end of speech automatically and re-open the mic after each reply"
+                  style={{ ...styles.toggle, ...styles.toggleBtn, flex: "none", ...(handsFree ? styles.toggleBtnActive : null) }}
+                >
+                  Hands-free
+                </button>
+              )}
               {displayStatus && (
                 <span style={styles.status}>
                   {statusIcon()}
@@ -596,12 +1184,27 @@ export default function App() {
               <button
                 onClick={recording ? endConversation : startConversation}
                 style={styles.cta(recording)}
-                aria-label={recording ? "End conversation" : "Start conversation"}
+                aria-label={recording ? "End conversation" : speaking ? "Interrupt and speak" : "Start conversation"}
               >
-                {recording ? <Square size={16}/> : <Mic size={16}/>} {recording ? "End conversation" : "Start conversation"}
+                {recording ? <Square size={16}/> : speaking ? <VolumeX size={16}/> : <Mic size={16}/>}{" "}
+                {recording ? "End conversation" : speaking ? "Interrupt" : "Start conversation"}
               </button>
             ) : (
               <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  accept={UPLOAD_ACCEPT}
+                  hidden
+                  onChange={(e) => {
+                    attachFiles([...e.target.files]);
+                    e.target.value = ""; // picking the same file again still fires onChange
+                  }}
+                />
+                <button onClick={() => fileInputRef.current?.click()} style={styles.attach} aria-label="Attach a file" title="Attach a rate sheet, loan estimate or image">
+                  <Paperclip size={16} />
+                </button>
                 <input
                   value={textInput}
                   onChange={(e) => setTextInput(e.target.value)}
@@ -612,14 +1215,19 @@ export default function App() {
                   style={{ ...styles.input, ...(inputFocused ? styles.inputFocused : null) }}
                 />
 
-                <button onClick={sendTextMessage} style={styles.cta(false)} aria-label="Send message">
+                <button
+                  onClick={sendTextMessage}
+                  disabled={attachments.some((a) => a.status === "uploading")}
+                  style={styles.cta(false)}
+                  aria-label="Send message"
+                >
                   <ArrowUp size={16} />
                 </button>
               </div>
             )}
             <button
               onClick={newConversation}
-              style={{ ...styles.cta(false), background: '#ffffff', color: ACCENT, border: `1px solid ${ACCENT}` }}
+              style={{ ...styles.cta(false), background: '#ffffff', color: accent, border: `1px solid ${accent}` }}
               aria-label="Start a new conversation"
             >
               New conversation
@@ -628,11 +1236,9 @@ export default function App() {
         </div>
       </main>
 
-      <audio ref={audioRef} preload="auto" />
-
       {/* Footer */}
       <footer style={styles.footer}>
-        © {new Date().getFullYear()} Helport AI · Built for live demos · Voice: top-sales-voice-001
+        © {new Date().getFullYear()} Helport AI · Built for live demos{bot?.voice_id ? ` · Voice: ${bot.voice_id}` : ""}
       </footer>
     </div>
   );
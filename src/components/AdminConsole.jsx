@@ -0,0 +1,435 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Loader2, RefreshCw, X, Mic, Keyboard, MessagesSquare, ThumbsUp, ThumbsDown } from "lucide-react";
+import LoginScreen from "./LoginScreen.jsx";
+import Markdown from "./Markdown.jsx";
+
+// Operator view at /admin: bots with their error/latency counts, live voice sessions (with a
+// force-close button), rated answers and every recorded conversation with its full transcript.
+// Everything comes from /api/admin/*, which only admins (ADMIN_USERS) may call.
+
+const ACCENT = "#00C389";
+const POLL_MS = 5000;
+const MODE_ICONS = { voice: Mic, text: Keyboard, mixed: MessagesSquare };
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString([], { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }) : "";
+}
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return "–";
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+export default function AdminConsole() {
+  const API_BASE = import.meta.env.VITE_API_BASE || "";
+  const [me, setMe] = useState({ checked: false, required: false, user: null, admin: false });
+  const [bots, setBots] = useState([]);
+  const [botsSource, setBotsSource] = useState("");
+  const [sessions, setSessions] = useState([]);
+  const [conversations, setConversations] = useState([]);
+  const [feedback, setFeedback] = useState([]);
+  const [ratingFilter, setRatingFilter] = useState("dislike");
+  const [botFilter, setBotFilter] = useState("");
+  const [transcript, setTranscript] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const checkMe = useCallback(async () => {
+    try {
+      const resp = await fetch(`${API_BASE}/api/auth/me`);
+      const json = await resp.json().catch(() => ({}));
+      setMe({ checked: true, required: resp.status === 401, user: json.user || null, admin: Boolean(json.admin) });
+    } catch (err) {
+      setMe({ checked: true, required: false, user: null, admin: false });
+      setError(`Could not reach the server: ${err?.message || err}`);
+    }
+  }, [API_BASE]);
+
+  useEffect(() => {
+    document.title = "Admin console";
+    checkMe();
+  }, [checkMe]);
+
+  const api = useCallback(async (path, init) => {
+    const resp = await fetch(`${API_BASE}/api/admin${path}`, init);
+    if (resp.status === 401) {
+      setMe((m) => ({ ...m, required: true, user: null, admin: false }));
+      throw new Error("Please sign in again");
+    }
+    if (!resp.ok) {
+      const json = await resp.json().catch(() => ({}));
+      throw new Error(json.error || `HTTP ${resp.status}`);
+    }
+    return resp.status === 204 ? null : resp.json();
+  }, [API_BASE]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const qs = botFilter ? `?bot=${encodeURIComponent(botFilter)}` : "";
+      const feedbackQs = new URLSearchParams({ ...(botFilter && { bot: botFilter }), ...(ratingFilter && { rating: ratingFilter }) }).toString();
+      const [botsJson, sessionsJson, convosJson, feedbackJson] = await Promise.all([
+        api("/bots"),
+        api("/sessions"),
+        api(`/conversations${qs}`),
+        api(`/feedback${feedbackQs ? `?${feedbackQs}` : ""}`),
+      ]);
+      setBots(botsJson.data);
+      setBotsSource(botsJson.source);
+      setSessions(sessionsJson.data);
+      setConversations(convosJson.data);
+      setFeedback(feedbackJson.data);
+      setError("");
+    } catch (err) {
+      setError(err?.message || String(err));
+    }
+  }, [api, botFilter, ratingFilter]);
+
+  // Live view: poll while the page is open
+  useEffect(() => {
+    if (!me.admin) return;
+    refresh();
+    const timer = setInterval(refresh, POLL_MS);
+    return () => clearInterval(timer);
+  }, [me.admin, refresh]);
+
+  const closeSession = async (id) => {
+    if (!window.confirm("Close this voice session? The visitor's mic and answer stop right away.")) return;
+    try {
+      await api(`/sessions/${encodeURIComponent(id)}`, { method: "DELETE" });
+      setSessions((list) => list.filter((s) => s.id !== id));
+    } catch (err) {
+      setError(`Could not close session: ${err?.message || err}`);
+    }
+  };
+
+  const reloadBots = async () => {
+    setBusy(true);
+    try {
+      const json = await api("/bots/reload", { method: "POST" });
+      setBots(json.data);
+      setBotsSource(json.source);
+      setError("");
+    } catch (err) {
+      setError(`Bots not reloaded: ${err?.message || err}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openTranscript = async (id) => {
+    try {
+      setTranscript(await api(`/conversations/${encodeURIComponent(id)}`));
+    } catch (err) {
+      setError(`Could not open conversation: ${err?.message || err}`);
+    }
+  };
+
+  const styles = {
+    page: { minHeight: "100vh", background: "#f7f8f9", color: "#0a0a0a" },
+    topbar: { maxWidth: 1200, margin: "0 auto", padding: "24px 20px", display: "flex", alignItems: "center", gap: 12 },
+    brand: { height: 32 },
+    h1: { fontSize: 22, fontWeight: 600, margin: 0 },
+    spacer: { marginLeft: "auto", fontSize: 12, opacity: 0.6 },
+    main: { maxWidth: 1200, margin: "0 auto", padding: "0 20px 40px", display: "flex", flexDirection: "column", gap: 20 },
+    card: {
+      borderRadius: 16,
+      border: "1px solid rgba(0,0,0,0.08)",
+      background: "#ffffff",
+      boxShadow: "0 2px 12px rgba(0,0,0,0.04)",
+      padding: 16,
+      overflowX: "auto",
+    },
+    cardHead: { display: "flex", alignItems: "center", gap: 12, marginBottom: 12 },
+    h2: { fontSize: 16, fontWeight: 600, margin: 0 },
+    muted: { fontSize: 12, opacity: 0.6 },
+    table: { width: "100%", borderCollapse: "collapse", fontSize: 13 },
+    th: { textAlign: "left", fontWeight: 600, padding: "6px 8px", borderBottom: "1px solid rgba(0,0,0,0.08)", whiteSpace: "nowrap" },
+    td: { padding: "6px 8px", borderBottom: "1px solid rgba(0,0,0,0.05)", verticalAlign: "top" },
+    mono: { fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", fontSize: 12 },
+    dot: (on) => ({ display: "inline-block", width: 8, height: 8, borderRadius: "50%", background: on ? ACCENT : "#c7c7cc", marginRight: 6 }),
+    btn: (danger) => ({
+      display: "inline-flex",
+      alignItems: "center",
+      gap: 6,
+      border: `1px solid ${danger ? "#ff453a" : ACCENT}`,
+      borderRadius: 20,
+      padding: "4px 10px",
+      fontSize: 12,
+      fontWeight: 600,
+      color: danger ? "#ff453a" : ACCENT,
+      background: "#ffffff",
+      cursor: "pointer",
+    }),
+    select: { marginLeft: "auto", padding: "4px 8px", borderRadius: 8, border: "1px solid rgba(0,0,0,0.15)", fontSize: 13 },
+    row: { cursor: "pointer" },
+    error: { color: "#ff453a", fontSize: 13 },
+    overlay: { position: "fixed", inset: 0, background: "rgba(0,0,0,0.25)", display: "flex", justifyContent: "flex-end", zIndex: 40 },
+    drawer: { width: 560, maxWidth: "100%", height: "100%", background: "#ffffff", padding: 20, overflowY: "auto", boxShadow: "-8px 0 24px rgba(0,0,0,0.12)" },
+    turn: (user) => ({
+      background: user ? ACCENT : "rgba(0,0,0,0.04)",
+      color: user ? "#ffffff" : "#0a0a0a",
+      borderRadius: 14,
+      padding: "8px 12px",
+      margin: user ? "8px 0 2px 40px" : "8px 40px 2px 0",
+      whiteSpace: user ? "pre-wrap" : "normal",
+      fontSize: 14,
+    }),
+    turnMeta: (user) => ({ fontSize: 11, opacity: 0.55, textAlign: user ? "right" : "left" }),
+    iconBtn: { marginLeft: "auto", border: "none", background: "none", cursor: "pointer", padding: 4 },
+  };
+
+  if (!me.checked) {
+    return (
+      <div style={{ ...styles.page, display: "grid", placeItems: "center" }}>
+        <Loader2 size={20} className="animate-spin" />
+      </div>
+    );
+  }
+
+  if (me.required && !me.user) {
+    return (
+      <div style={styles.page}>
+        <LoginScreen apiBase={API_BASE} accent={ACCENT} onSignedIn={checkMe} />
+      </div>
+    );
+  }
+
+  if (!me.admin) {
+    return (
+      <div style={{ ...styles.page, display: "grid", placeItems: "center", textAlign: "center" }}>
+        <div>
+          <h1 style={styles.h1}>Admins only</h1>
+          <p style={styles.muted}>
+            {me.user ? `${me.user.name} is not an admin. Ask for your account to be added to ADMIN_USERS.` : "Sign-in is off, so the admin console only works on a development server."}
+          </p>
+          {error && <p style={styles.error}>{error}</p>}
+          <a href="/" style={{ color: ACCENT }}>Back to the bot</a>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.topbar}>
+        <img src="/helport.png" alt="Helport AI" style={styles.brand} />
+        <h1 style={styles.h1}>Admin console</h1>
+        <div style={styles.spacer}>
+          {me.user ? `${me.user.name} · ` : ""}Refreshes every {POLL_MS / 1000}s · <a href="/admin/analytics" style={{ color: "inherit" }}>Analytics</a> ·{" "}
+          <a href="/" style={{ color: "inherit" }}>Open bot</a>
+        </div>
+      </div>
+
+      <main style={styles.main}>
+        {error && <div style={styles.error}>{error}</div>}
+
+        {/* Bots */}
+        <section style={styles.card}>
+          <div style={styles.cardHead}>
+            <h2 style={styles.h2}>Bots</h2>
+            <span style={styles.muted}>{botsSource}</span>
+            <button onClick={reloadBots} disabled={busy} style={{ ...styles.btn(false), marginLeft: "auto" }} title="Re-read the bots config file">
+              {busy ? <Loader2 size={12} className="animate-spin" /> : <RefreshCw size={12} />} Reload config
+            </button>
+          </div>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                {["Bot", "Voice", "Live", "Turns", "Errors", "Avg", "p50", "p95", "Max", "Feedback", "Last error"].map((h) => (
+                  <th key={h} style={styles.th}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {bots.map((b) => (
+                <tr key={b.slug}>
+                  <td style={styles.td}>
+                    <span style={{ ...styles.dot(true), background: b.accent }} />
+                    <a href={`/bots/${b.slug}`} style={{ color: "inherit" }}>{b.name}</a>{" "}
+                    <span style={styles.muted}>/{b.slug} · {b.backend}{b.default ? " · default" : ""}{b.has_api_key || !b.backend.startsWith("dify") ? "" : " · no API key"}</span>
+                    {b.circuit.state !== "closed" && (
+                      <span style={{ color: "#ff453a" }} title={`${b.circuit.failures} failures in a row; next try ${formatTime(b.circuit.retry_at)}`}>
+                        {" "}· {b.circuit.state === "open" ? "circuit open" : "circuit half-open"}
+                      </span>
+                    )}
+                  </td>
+                  <td style={{ ...styles.td, ...styles.mono }}>{b.voice_id || "–"}</td>
+                  <td style={styles.td}>{b.live_sessions}</td>
+                  <td style={styles.td}>{b.stats.turns}</td>
+                  <td style={{ ...styles.td, color: b.stats.errors ? "#ff453a" : undefined }}>
+                    {b.stats.errors}
+                    {b.stats.errors > 0 && (
+                      <span style={styles.muted}> ({Object.entries(b.stats.errors_by_kind).map(([k, n]) => `${k} ${n}`).join(", ")})</span>
+                    )}
+                  </td>
+                  <td style={styles.td}>{formatMs(b.stats.latency_ms.avg)}</td>
+                  <td style={styles.td}>{formatMs(b.stats.latency_ms.p50)}</td>
+                  <td style={styles.td}>{formatMs(b.stats.latency_ms.p95)}</td>
+                  <td style={styles.td}>{formatMs(b.stats.latency_ms.max)}</td>
+                  <td style={{ ...styles.td, whiteSpace: "nowrap" }}>
+                    <ThumbsUp size={12} /> {b.feedback.like} <ThumbsDown size={12} style={{ marginLeft: 6 }} /> {b.feedback.dislike}
+                  </td>
+                  <td style={{ ...styles.td, ...styles.muted }}>
+                    {b.stats.last_error ? `${formatTime(b.stats.last_error.at)} · ${b.stats.last_error.kind}: ${b.stats.last_error.message}` : "–"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        {/* Live sessions */}
+        <section style={styles.card}>
+          <div style={styles.cardHead}>
+            <h2 style={styles.h2}>Live voice sessions</h2>
+            <span style={styles.muted}>{sessions.length} open</span>
+          </div>
+          {sessions.length === 0 ? (
+            <div style={styles.muted}>No one is talking to a bot right now.</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  {["Session", "Bot", "User", "Started", "State", "Conversation", ""].map((h) => (
+                    <th key={h} style={styles.th}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map((s) => (
+                  <tr key={s.id}>
+                    <td style={{ ...styles.td, ...styles.mono }}>
+                      <span style={styles.dot(s.connected)} title={s.connected ? "Connected" : "Waiting for reconnect"} />
+                      {s.id.slice(0, 8)}
+                    </td>
+                    <td style={styles.td}>{s.bot}</td>
+                    <td style={styles.td}>{s.user || "–"}</td>
+                    <td style={styles.td}>{formatTime(s.created_at)}</td>
+                    <td style={styles.td}>{s.recording ? "Listening" : s.busy ? "Answering" : s.connected ? "Idle" : "Disconnected"}</td>
+                    <td style={{ ...styles.td, ...styles.mono }}>
+                      {s.conversation_id ? (
+                        <button onClick={() => openTranscript(s.conversation_id)} style={{ ...styles.btn(false), ...styles.mono }}>
+                          {s.conversation_id.slice(0, 8)}
+                        </button>
+                      ) : "–"}
+                    </td>
+                    <td style={styles.td}>
+                      <button onClick={() => closeSession(s.id)} style={styles.btn(true)}>
+                        <X size={12} /> Close
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        {/* Rated answers */}
+        <section style={styles.card}>
+          <div style={styles.cardHead}>
+            <h2 style={styles.h2}>Answer feedback</h2>
+            <span style={styles.muted}>{feedback.length} shown{botFilter ? ` for ${botFilter}` : ""}</span>
+            <select value={ratingFilter} onChange={(e) => setRatingFilter(e.target.value)} style={styles.select} aria-label="Filter by rating">
+              <option value="dislike">Disliked</option>
+              <option value="like">Liked</option>
+              <option value="">All ratings</option>
+            </select>
+          </div>
+          {feedback.length === 0 ? (
+            <div style={styles.muted}>No rated answers yet.</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  {["Rated", "", "Question", "Answer", "Comment", "Bot"].map((h, i) => (
+                    <th key={i} style={styles.th}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {feedback.slice(0, 100).map((f) => (
+                  <tr key={f.message_id} onClick={() => openTranscript(f.conversation_id)} style={styles.row}>
+                    <td style={{ ...styles.td, whiteSpace: "nowrap" }}>{formatTime(f.at)}</td>
+                    <td style={styles.td}>{f.rating === "like" ? <ThumbsUp size={14} color={ACCENT} /> : <ThumbsDown size={14} color="#ff453a" />}</td>
+                    <td style={styles.td}>{f.question}</td>
+                    <td style={{ ...styles.td, ...styles.muted }}>{f.answer.length > 200 ? `${f.answer.slice(0, 199)}…` : f.answer}</td>
+                    <td style={styles.td}>{f.comment || "–"}</td>
+                    <td style={styles.td}>{f.bot || "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        {/* Conversations */}
+        <section style={styles.card}>
+          <div style={styles.cardHead}>
+            <h2 style={styles.h2}>Recent conversations</h2>
+            <span style={styles.muted}>{conversations.length} total</span>
+            <select value={botFilter} onChange={(e) => setBotFilter(e.target.value)} style={styles.select} aria-label="Filter by bot">
+              <option value="">All bots</option>
+              {bots.map((b) => <option key={b.slug} value={b.slug}>{b.name}</option>)}
+            </select>
+          </div>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                {["Updated", "Title", "Bot", "User", "Mode", "Turns"].map((h) => (
+                  <th key={h} style={styles.th}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {conversations.slice(0, 100).map((c) => {
+                const ModeIcon = MODE_ICONS[c.mode] || MessagesSquare;
+                return (
+                  <tr key={c.id} onClick={() => openTranscript(c.id)} style={styles.row}>
+                    <td style={{ ...styles.td, whiteSpace: "nowrap" }}>{formatTime(c.updated_at)}</td>
+                    <td style={styles.td}>
+                      <div>{c.title}</div>
+                      <div style={styles.muted}>{c.preview}</div>
+                    </td>
+                    <td style={styles.td}>{c.bot || "–"}</td>
+                    <td style={styles.td}>{c.user || "–"}</td>
+                    <td style={styles.td}><ModeIcon size={14} aria-label={c.mode} /></td>
+                    <td style={styles.td}>{c.turn_count}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </section>
+      </main>
+
+      {transcript && (
+        <div style={styles.overlay} onClick={() => setTranscript(null)}>
+          <aside style={styles.drawer} onClick={(e) => e.stopPropagation()} aria-label="Transcript">
+            <div style={styles.cardHead}>
+              <div>
+                <h2 style={styles.h2}>{transcript.title}</h2>
+                <div style={styles.muted}>
+                  {transcript.bot || "–"} · {transcript.user || "anonymous"} · started {formatTime(transcript.created_at)}
+                </div>
+              </div>
+              <button onClick={() => setTranscript(null)} style={styles.iconBtn} aria-label="Close transcript">
+                <X size={18} />
+              </button>
+            </div>
+            {transcript.turns.map((t, i) => (
+              <div key={i}>
+                <div style={styles.turn(t.role === "user")}>{t.role === "user" ? t.text : <Markdown text={t.text} />}</div>
+                <div style={styles.turnMeta(t.role === "user")}>
+                  {t.mode} · {formatTime(t.at)}{t.latency_ms !== undefined ? ` · ${formatMs(t.latency_ms)}` : ""}
+                  {t.citations?.length > 0 && ` · sources: ${t.citations.map((c) => c.document_name).join(", ")}`}
+                  {t.feedback && ` · ${t.feedback.rating === "like" ? "👍" : "👎"}${t.feedback.comment ? ` “${t.feedback.comment}”` : ""}`}
+                </div>
+              </div>
+            ))}
+          </aside>
+        </div>
+      )}
+    </div>
+  );
+}
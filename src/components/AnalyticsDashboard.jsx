@@ -0,0 +1,369 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Loader2, RefreshCw, ThumbsDown, CircleHelp } from "lucide-react";
+import LoginScreen from "./LoginScreen.jsx";
+
+// Analytics page at /admin/analytics: question volume over time, voice vs text, answer latency,
+// the most asked questions and the topics the bot could not answer (disliked or fallback answers).
+// Everything comes from /api/analytics/*, which only admins (ADMIN_USERS) may call.
+
+const ACCENT = "#00C389";
+const VOICE_COLOR = "#0a84ff";
+const RANGES = [
+  { days: 1, label: "Last 24 hours" },
+  { days: 7, label: "Last 7 days" },
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+];
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString([], { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }) : "";
+}
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return "–";
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function formatBucket(iso, interval) {
+  const date = new Date(iso);
+  return interval === "hour"
+    ? date.toLocaleString([], { weekday: "short", hour: "numeric" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+export default function AnalyticsDashboard() {
+  const API_BASE = import.meta.env.VITE_API_BASE || "";
+  const [me, setMe] = useState({ checked: false, required: false, user: null, admin: false });
+  const [bots, setBots] = useState([]);
+  const [botFilter, setBotFilter] = useState("");
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const checkMe = useCallback(async () => {
+    try {
+      const resp = await fetch(`${API_BASE}/api/auth/me`);
+      const json = await resp.json().catch(() => ({}));
+      setMe({ checked: true, required: resp.status === 401, user: json.user || null, admin: Boolean(json.admin) });
+    } catch (err) {
+      setMe({ checked: true, required: false, user: null, admin: false });
+      setError(`Could not reach the server: ${err?.message || err}`);
+    }
+  }, [API_BASE]);
+
+  useEffect(() => {
+    document.title = "Analytics";
+    checkMe();
+  }, [checkMe]);
+
+  const api = useCallback(async (path) => {
+    const resp = await fetch(`${API_BASE}/api/analytics${path}`);
+    if (resp.status === 401) {
+      setMe((m) => ({ ...m, required: true, user: null, admin: false }));
+      throw new Error("Please sign in again");
+    }
+    if (!resp.ok) {
+      const json = await resp.json().catch(() => ({}));
+      throw new Error(json.error || `HTTP ${resp.status}`);
+    }
+    return resp.json();
+  }, [API_BASE]);
+
+  const refresh = useCallback(async () => {
+    setBusy(true);
+    try {
+      const qs = `?${new URLSearchParams({ days: String(days), ...(botFilter && { bot: botFilter }) })}`;
+      const [summary, volume, questions, unanswered] = await Promise.all([
+        api(`/summary${qs}`),
+        api(`/volume${qs}`),
+        api(`/questions${qs}`),
+        api(`/unanswered${qs}`),
+      ]);
+      setData({ summary, volume, questions: questions.data, unanswered: unanswered.data });
+      setError("");
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  }, [api, botFilter, days]);
+
+  useEffect(() => {
+    if (me.admin) refresh();
+  }, [me.admin, refresh]);
+
+  // Bot names for the filter
+  useEffect(() => {
+    if (!me.admin) return;
+    fetch(`${API_BASE}/api/bots`)
+      .then((resp) => resp.json())
+      .then((json) => setBots(json.data || []))
+      .catch(() => {});
+  }, [API_BASE, me.admin]);
+
+  const styles = {
+    page: { minHeight: "100vh", background: "#f7f8f9", color: "#0a0a0a" },
+    topbar: { maxWidth: 1200, margin: "0 auto", padding: "24px 20px", display: "flex", alignItems: "center", gap: 12 },
+    brand: { height: 32 },
+    h1: { fontSize: 22, fontWeight: 600, margin: 0 },
+    spacer: { marginLeft: "auto", fontSize: 12, opacity: 0.6 },
+    main: { maxWidth: 1200, margin: "0 auto", padding: "0 20px 40px", display: "flex", flexDirection: "column", gap: 20 },
+    card: {
+      borderRadius: 16,
+      border: "1px solid rgba(0,0,0,0.08)",
+      background: "#ffffff",
+      boxShadow: "0 2px 12px rgba(0,0,0,0.04)",
+      padding: 16,
+      overflowX: "auto",
+    },
+    cardHead: { display: "flex", alignItems: "center", gap: 12, marginBottom: 12 },
+    h2: { fontSize: 16, fontWeight: 600, margin: 0 },
+    muted: { fontSize: 12, opacity: 0.6 },
+    filters: { display: "flex", alignItems: "center", gap: 8 },
+    select: { padding: "4px 8px", borderRadius: 8, border: "1px solid rgba(0,0,0,0.15)", fontSize: 13 },
+    btn: {
+      display: "inline-flex",
+      alignItems: "center",
+      gap: 6,
+      border: `1px solid ${ACCENT}`,
+      borderRadius: 20,
+      padding: "4px 10px",
+      fontSize: 12,
+      fontWeight: 600,
+      color: ACCENT,
+      background: "#ffffff",
+      cursor: "pointer",
+    },
+    tiles: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 12 },
+    tile: { borderRadius: 12, background: "rgba(0,0,0,0.03)", padding: 12 },
+    tileValue: { fontSize: 24, fontWeight: 600, marginTop: 4 },
+    chart: { display: "flex", alignItems: "flex-end", gap: 2, height: 160, paddingTop: 8 },
+    bar: { flex: 1, minWidth: 3, display: "flex", flexDirection: "column-reverse", height: "100%" },
+    segment: (color, share) => ({ background: color, height: `${share * 100}%`, borderRadius: 2 }),
+    axis: { display: "flex", justifyContent: "space-between", marginTop: 6 },
+    legend: (color) => ({ display: "inline-block", width: 10, height: 10, borderRadius: 2, background: color, margin: "0 4px 0 12px" }),
+    table: { width: "100%", borderCollapse: "collapse", fontSize: 13 },
+    th: { textAlign: "left", fontWeight: 600, padding: "6px 8px", borderBottom: "1px solid rgba(0,0,0,0.08)", whiteSpace: "nowrap" },
+    td: { padding: "6px 8px", borderBottom: "1px solid rgba(0,0,0,0.05)", verticalAlign: "top" },
+    example: { marginTop: 6, paddingLeft: 8, borderLeft: "2px solid rgba(0,0,0,0.1)" },
+    error: { color: "#ff453a", fontSize: 13 },
+  };
+
+  if (!me.checked) {
+    return (
+      <div style={{ ...styles.page, display: "grid", placeItems: "center" }}>
+        <Loader2 size={20} className="animate-spin" />
+      </div>
+    );
+  }
+
+  if (me.required && !me.user) {
+    return (
+      <div style={styles.page}>
+        <LoginScreen apiBase={API_BASE} accent={ACCENT} onSignedIn={checkMe} />
+      </div>
+    );
+  }
+
+  if (!me.admin) {
+    return (
+      <div style={{ ...styles.page, display: "grid", placeItems: "center", textAlign: "center" }}>
+        <div>
+          <h1 style={styles.h1}>Admins only</h1>
+          <p style={styles.muted}>
+            {me.user ? `${me.user.name} is not an admin. Ask for your account to be added to ADMIN_USERS.` : "Sign-in is off, so analytics only work on a development server."}
+          </p>
+          {error && <p style={styles.error}>{error}</p>}
+          <a href="/" style={{ color: ACCENT }}>Back to the bot</a>
+        </div>
+      </div>
+    );
+  }
+
+  const summary = data?.summary;
+  const buckets = data?.volume.data || [];
+  const busiest = Math.max(0, ...buckets.map((b) => b.text + b.voice));
+  const peak = Math.max(1, busiest);
+  const tiles = summary
+    ? [
+        { label: "Questions", value: summary.questions, note: `${summary.conversations} conversations · ${summary.users} users` },
+        {
+          label: "Voice share",
+          value: summary.voice_share === null ? "–" : `${Math.round(summary.voice_share * 100)}%`,
+          note: `${summary.by_mode.voice} voice · ${summary.by_mode.text} text`,
+        },
+        {
+          label: "Avg answer time",
+          value: formatMs(summary.latency_ms.avg),
+          note: `p50 ${formatMs(summary.latency_ms.p50)} · p95 ${formatMs(summary.latency_ms.p95)}`,
+        },
+        { label: "Feedback", value: `${summary.feedback.like} / ${summary.feedback.dislike}`, note: "liked / disliked" },
+        {
+          label: "Unanswered",
+          value: summary.unanswered,
+          note: `${summary.fallbacks} fallback replies (${summary.failed} failed) · ${summary.feedback.dislike} disliked`,
+        },
+      ]
+    : [];
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.topbar}>
+        <img src="/helport.png" alt="Helport AI" style={styles.brand} />
+        <h1 style={styles.h1}>Analytics</h1>
+        <div style={styles.spacer}>
+          {me.user ? `${me.user.name} · ` : ""}
+          <a href="/admin" style={{ color: "inherit" }}>Admin console</a> · <a href="/" style={{ color: "inherit" }}>Open bot</a>
+        </div>
+      </div>
+
+      <main style={styles.main}>
+        <div style={styles.filters}>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} style={styles.select} aria-label="Time range">
+            {RANGES.map((r) => <option key={r.days} value={r.days}>{r.label}</option>)}
+          </select>
+          <select value={botFilter} onChange={(e) => setBotFilter(e.target.value)} style={styles.select} aria-label="Filter by bot">
+            <option value="">All bots</option>
+            {bots.map((b) => <option key={b.slug} value={b.slug}>{b.name}</option>)}
+          </select>
+          <button onClick={refresh} disabled={busy} style={styles.btn}>
+            {busy ? <Loader2 size={12} className="animate-spin" /> : <RefreshCw size={12} />} Refresh
+          </button>
+        </div>
+
+        {error && <div style={styles.error}>{error}</div>}
+
+        {!data ? (
+          <div style={{ display: "grid", placeItems: "center", padding: 40 }}>
+            <Loader2 size={20} className="animate-spin" />
+          </div>
+        ) : (
+          <>
+            {/* Headline numbers */}
+            <section style={styles.tiles}>
+              {tiles.map((t) => (
+                <div key={t.label} style={styles.tile}>
+                  <div style={styles.muted}>{t.label}</div>
+                  <div style={styles.tileValue}>{t.value}</div>
+                  <div style={styles.muted}>{t.note}</div>
+                </div>
+              ))}
+            </section>
+
+            {/* Volume over time */}
+            <section style={styles.card}>
+              <div style={styles.cardHead}>
+                <h2 style={styles.h2}>Questions per {data.volume.interval}</h2>
+                <span style={{ ...styles.muted, marginLeft: "auto" }}>
+                  <span style={styles.legend(ACCENT)} />Text
+                  <span style={styles.legend(VOICE_COLOR)} />Voice
+                </span>
+              </div>
+              <div style={styles.chart}>
+                {buckets.map((b) => (
+                  <div key={b.start} style={styles.bar} title={`${formatBucket(b.start, data.volume.interval)}: ${b.text} text, ${b.voice} voice`}>
+                    <div style={styles.segment(ACCENT, b.text / peak)} />
+                    <div style={styles.segment(VOICE_COLOR, b.voice / peak)} />
+                  </div>
+                ))}
+              </div>
+              {buckets.length > 0 && (
+                <div style={{ ...styles.axis, ...styles.muted }}>
+                  <span>{formatBucket(buckets[0].start, data.volume.interval)}</span>
+                  <span>busiest: {busiest}</span>
+                  <span>{formatBucket(buckets[buckets.length - 1].start, data.volume.interval)}</span>
+                </div>
+              )}
+            </section>
+
+            {/* Most asked */}
+            <section style={styles.card}>
+              <div style={styles.cardHead}>
+                <h2 style={styles.h2}>Most asked questions</h2>
+                <span style={styles.muted}>similar wordings grouped together</span>
+              </div>
+              {data.questions.length === 0 ? (
+                <div style={styles.muted}>No questions in this period.</div>
+              ) : (
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      {["Question", "Asked", "Voice", "Disliked", "Fallbacks", "Last asked"].map((h) => (
+                        <th key={h} style={styles.th}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.questions.map((q) => (
+                      <tr key={q.key}>
+                        <td style={styles.td}>
+                          {q.question}
+                          {q.variants > 1 && <span style={styles.muted}> · {q.variants} wordings</span>}
+                        </td>
+                        <td style={styles.td}>{q.count}</td>
+                        <td style={styles.td}>{q.voice}</td>
+                        <td style={{ ...styles.td, color: q.dislikes ? "#ff453a" : undefined }}>{q.dislikes}</td>
+                        <td style={{ ...styles.td, color: q.fallbacks ? "#ff453a" : undefined }}>{q.fallbacks}</td>
+                        <td style={{ ...styles.td, whiteSpace: "nowrap" }}>{formatTime(q.last_asked_at)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+
+            {/* Knowledge-base gaps */}
+            <section style={styles.card}>
+              <div style={styles.cardHead}>
+                <h2 style={styles.h2}>Unanswered topics</h2>
+                <span style={styles.muted}>disliked answers and fallback replies; candidates for the knowledge base</span>
+              </div>
+              {data.unanswered.length === 0 ? (
+                <div style={styles.muted}>Every question in this period got an answer nobody disliked.</div>
+              ) : (
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      {["Topic", "Times", "Latest answers"].map((h) => (
+                        <th key={h} style={styles.th}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.unanswered.map((topic) => (
+                      <tr key={topic.key}>
+                        <td style={styles.td}>
+                          <div>{topic.question}</div>
+                          <div style={styles.muted}>last asked {formatTime(topic.last_asked_at)}</div>
+                        </td>
+                        <td style={{ ...styles.td, whiteSpace: "nowrap" }}>
+                          {topic.count}
+                          <div style={styles.muted}>
+                            {topic.dislikes > 0 && <><ThumbsDown size={11} /> {topic.dislikes} </>}
+                            {topic.fallbacks > 0 && <><CircleHelp size={11} /> {topic.fallbacks}</>}
+                          </div>
+                        </td>
+                        <td style={styles.td}>
+                          {topic.examples.map((x) => (
+                            <div key={x.message_id || x.asked_at} style={styles.example}>
+                              <div style={styles.muted}>
+                                {x.reasons.join(" · ")} · {x.mode} · {formatTime(x.asked_at)}
+                                {x.comment && ` · “${x.comment}”`}
+                              </div>
+                              <div>{x.answer.length > 200 ? `${x.answer.slice(0, 199)}…` : x.answer || (x.error ? "(no answer, the turn failed)" : "(empty answer)")}</div>
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import { FileText, Loader2, X, AlertCircle } from "lucide-react";
+
+// Files picked for the next question: thumbnail (images) or file icon, upload state and a remove button.
+// Each attachment is { key, name, size, previewUrl, status: "uploading" | "ready" | "failed", error }.
+export default function AttachmentTray({ attachments, accent, onRemove }) {
+  if (!attachments?.length) return null;
+
+  const styles = {
+    tray: { display: "flex", flexWrap: "wrap", gap: 8, padding: "12px 16px 0", borderTop: "1px solid rgba(0,0,0,0.08)" },
+    item: (failed) => ({
+      display: "flex",
+      alignItems: "center",
+      gap: 8,
+      maxWidth: 260,
+      padding: "6px 8px",
+      borderRadius: 12,
+      border: `1px solid ${failed ? "#ff453a" : "rgba(0,0,0,0.12)"}`,
+      background: "#ffffff",
+      fontSize: 12,
+    }),
+    thumb: { width: 36, height: 36, borderRadius: 8, objectFit: "cover", flex: "0 0 36px" },
+    icon: { width: 36, height: 36, borderRadius: 8, display: "grid", placeItems: "center", background: `${accent}14`, color: accent, flex: "0 0 36px" },
+    text: { minWidth: 0, display: "flex", flexDirection: "column" },
+    name: { fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" },
+    meta: (failed) => ({ opacity: failed ? 1 : 0.6, color: failed ? "#ff453a" : "inherit", display: "inline-flex", alignItems: "center", gap: 4 }),
+    remove: { border: "none", background: "none", padding: 2, cursor: "pointer", opacity: 0.6, display: "inline-flex" },
+  };
+
+  return (
+    <div style={styles.tray}>
+      {attachments.map((a) => (
+        <div key={a.key} style={styles.item(a.status === "failed")} title={a.error || a.name}>
+          {a.previewUrl ? (
+            <img src={a.previewUrl} alt="" style={styles.thumb} />
+          ) : (
+            <div style={styles.icon}>
+              <FileText size={18} />
+            </div>
+          )}
+          <div style={styles.text}>
+            <span style={styles.name}>{a.name}</span>
+            <span style={styles.meta(a.status === "failed")}>
+              {a.status === "uploading" && <Loader2 size={11} className="animate-spin" />}
+              {a.status === "failed" && <AlertCircle size={11} />}
+              {a.status === "uploading" ? "Uploading…" : a.status === "failed" ? a.error || "Upload failed" : formatSize(a.size)}
+            </span>
+          </div>
+          <button onClick={() => onRemove(a.key)} style={styles.remove} aria-label={`Remove ${a.name}`}>
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
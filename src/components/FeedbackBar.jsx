@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { ThumbsUp, ThumbsDown, Send } from "lucide-react";
+
+// Like/dislike buttons under an answer. A dislike opens an optional comment box first;
+// clicking the active rating again clears it. onRate(rating | null, comment) does the saving.
+export default function FeedbackBar({ rating, accent, onRate }) {
+  const [commenting, setCommenting] = useState(false);
+  const [comment, setComment] = useState("");
+
+  const rate = (next) => {
+    if (next === rating) {
+      setCommenting(false);
+      onRate(null, "");
+    } else if (next === "dislike") {
+      setCommenting(true);
+    } else {
+      setCommenting(false);
+      onRate(next, "");
+    }
+  };
+
+  const submitComment = () => {
+    setCommenting(false);
+    onRate("dislike", comment.trim());
+    setComment("");
+  };
+
+  const styles = {
+    bar: { display: "flex", alignItems: "center", gap: 4, margin: "-6px 0 10px 60px" }, // under the bubble, past the avatar
+    btn: (active) => ({
+      border: "none",
+      background: "none",
+      padding: 4,
+      cursor: "pointer",
+      color: active ? accent : "rgba(0,0,0,0.35)",
+      display: "inline-flex",
+    }),
+    input: {
+      flex: 1,
+      maxWidth: 360,
+      padding: "6px 10px",
+      fontSize: 13,
+      borderRadius: 12,
+      border: `1px solid ${accent}`,
+      outline: "none",
+    },
+    send: { border: "none", background: accent, color: "#fff", borderRadius: 12, padding: "6px 8px", cursor: "pointer", display: "inline-flex" },
+  };
+
+  return (
+    <div style={styles.bar}>
+      <button onClick={() => rate("like")} style={styles.btn(rating === "like")} aria-pressed={rating === "like"} aria-label="Good answer">
+        <ThumbsUp size={14} fill={rating === "like" ? "currentColor" : "none"} />
+      </button>
+      <button onClick={() => rate("dislike")} style={styles.btn(rating === "dislike" || commenting)} aria-pressed={rating === "dislike"} aria-label="Bad answer">
+        <ThumbsDown size={14} fill={rating === "dislike" ? "currentColor" : "none"} />
+      </button>
+      {commenting && (
+        <>
+          <input
+            autoFocus
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") submitComment();
+              if (e.key === "Escape") setCommenting(false);
+            }}
+            placeholder="What was wrong? (optional, Enter to send)"
+            style={styles.input}
+          />
+          <button onClick={submitComment} style={styles.send} aria-label="Send feedback">
+            <Send size={12} />
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
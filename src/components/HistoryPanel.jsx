@@ -0,0 +1,204 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Pencil, Trash2, Mic, Keyboard, MessagesSquare, Check } from "lucide-react";
+
+// Collapsible drawer listing past conversations from /api/conversations.
+// Clicking a row hands the full conversation to onOpen; rename/delete go straight to the API.
+
+const MODE_ICONS = { voice: Mic, text: Keyboard, mixed: MessagesSquare };
+
+function formatDate(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  const sameDay = d.toDateString() === new Date().toDateString();
+  return sameDay
+    ? d.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+    : d.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+export default function HistoryPanel({ open, onClose, apiBase = "", bot, activeId, accent, onOpen, onDeleted }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [editingId, setEditingId] = useState("");
+  const [draftTitle, setDraftTitle] = useState("");
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const params = new URLSearchParams();
+      if (bot) params.set("bot", bot);
+      const qs = params.toString() ? `?${params}` : "";
+      const resp = await fetch(`${apiBase}/api/conversations${qs}`);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      setItems((await resp.json()).data || []);
+    } catch (err) {
+      setError(`Could not load history: ${err?.message || err}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBase, bot]);
+
+  // Reload whenever the drawer opens or the active thread changes (a new answer may have created it)
+  useEffect(() => {
+    if (open) refresh();
+  }, [open, activeId, refresh]);
+
+  const openItem = async (id) => {
+    if (editingId) return;
+    try {
+      const resp = await fetch(`${apiBase}/api/conversations/${encodeURIComponent(id)}`);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      onOpen(await resp.json());
+    } catch (err) {
+      setError(`Could not open conversation: ${err?.message || err}`);
+    }
+  };
+
+  const saveTitle = async (id) => {
+    const title = draftTitle.trim();
+    setEditingId("");
+    if (!title) return;
+    try {
+      const resp = await fetch(`${apiBase}/api/conversations/${encodeURIComponent(id)}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ title }),
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const updated = await resp.json();
+      setItems((list) => list.map((c) => (c.id === id ? { ...c, title: updated.title } : c)));
+    } catch (err) {
+      setError(`Rename failed: ${err?.message || err}`);
+    }
+  };
+
+  const remove = async (id, title) => {
+    if (!window.confirm(`Delete "${title}"? This cannot be undone.`)) return;
+    try {
+      const resp = await fetch(`${apiBase}/api/conversations/${encodeURIComponent(id)}`, { method: "DELETE" });
+      if (!resp.ok && resp.status !== 404) throw new Error(`HTTP ${resp.status}`);
+      setItems((list) => list.filter((c) => c.id !== id));
+      onDeleted?.(id);
+    } catch (err) {
+      setError(`Delete failed: ${err?.message || err}`);
+    }
+  };
+
+  const styles = {
+    backdrop: { position: "fixed", inset: 0, background: "rgba(0,0,0,0.15)", zIndex: 20 },
+    panel: {
+      position: "fixed",
+      top: 0,
+      left: 0,
+      bottom: 0,
+      width: 320,
+      maxWidth: "85vw",
+      background: "rgba(255,255,255,0.97)",
+      backdropFilter: "blur(8px)",
+      boxShadow: "4px 0 24px rgba(0,0,0,0.10)",
+      zIndex: 21,
+      display: "flex",
+      flexDirection: "column",
+    },
+    header: { display: "flex", alignItems: "center", padding: "20px 16px 12px", gap: 8 },
+    h2: { fontSize: 16, fontWeight: 600, margin: 0 },
+    iconBtn: { border: "none", background: "transparent", cursor: "pointer", padding: 6, borderRadius: 8, color: "#0a0a0a", display: "inline-flex" },
+    list: { flex: 1, overflowY: "auto", padding: "0 8px 16px" },
+    note: { fontSize: 13, opacity: 0.6, padding: "8px 12px" },
+    error: { fontSize: 13, color: "#ff453a", padding: "8px 12px" },
+    row: (active) => ({
+      display: "flex",
+      alignItems: "center",
+      gap: 10,
+      padding: "10px 12px",
+      borderRadius: 12,
+      cursor: "pointer",
+      background: active ? "rgba(0,195,137,0.10)" : "transparent",
+      border: active ? `1px solid ${accent}` : "1px solid transparent",
+    }),
+    rowText: { flex: 1, minWidth: 0 },
+    title: { fontSize: 14, fontWeight: 500, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" },
+    meta: { fontSize: 12, opacity: 0.6, marginTop: 2 },
+    titleInput: { width: "100%", fontSize: 14, padding: "4px 6px", borderRadius: 6, border: `1px solid ${accent}`, outline: "none" },
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <motion.div key="backdrop" style={styles.backdrop} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} onClick={onClose} />
+          <motion.aside
+            key="panel"
+            style={styles.panel}
+            initial={{ x: -340 }}
+            animate={{ x: 0 }}
+            exit={{ x: -340 }}
+            transition={{ type: "tween", duration: 0.2 }}
+            aria-label="Conversation history"
+          >
+            <div style={styles.header}>
+              <h2 style={styles.h2}>History</h2>
+              <button onClick={onClose} style={{ ...styles.iconBtn, marginLeft: "auto" }} aria-label="Close history">
+                <X size={18} />
+              </button>
+            </div>
+
+            <div style={styles.list}>
+              {error && <div style={styles.error}>{error}</div>}
+              {loading && items.length === 0 && <div style={styles.note}>Loading…</div>}
+              {!loading && !error && items.length === 0 && <div style={styles.note}>No past conversations yet.</div>}
+
+              {items.map((c) => {
+                const ModeIcon = MODE_ICONS[c.mode] || MessagesSquare;
+                const editing = editingId === c.id;
+                return (
+                  <div key={c.id} style={styles.row(c.id === activeId)} onClick={() => openItem(c.id)}>
+                    <ModeIcon size={16} style={{ flex: "none", color: accent }} aria-label={c.mode} />
+                    <div style={styles.rowText}>
+                      {editing ? (
+                        <input
+                          autoFocus
+                          value={draftTitle}
+                          onChange={(e) => setDraftTitle(e.target.value)}
+                          onClick={(e) => e.stopPropagation()}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") saveTitle(c.id);
+                            if (e.key === "Escape") setEditingId("");
+                          }}
+                          style={styles.titleInput}
+                        />
+                      ) : (
+                        <div style={styles.title} title={c.title}>{c.title}</div>
+                      )}
+                      <div style={styles.meta}>
+                        {formatDate(c.updated_at)} · {c.mode} · {Math.ceil(c.turn_count / 2)} Q&amp;A
+                      </div>
+                    </div>
+                    {editing ? (
+                      <button style={styles.iconBtn} aria-label="Save title" onClick={(e) => { e.stopPropagation(); saveTitle(c.id); }}>
+                        <Check size={15} />
+                      </button>
+                    ) : (
+                      <button
+                        style={styles.iconBtn}
+                        aria-label="Rename conversation"
+                        onClick={(e) => { e.stopPropagation(); setEditingId(c.id); setDraftTitle(c.title); }}
+                      >
+                        <Pencil size={15} />
+                      </button>
+                    )}
+                    <button style={styles.iconBtn} aria-label="Delete conversation" onClick={(e) => { e.stopPropagation(); remove(c.id, c.title); }}>
+                      <Trash2 size={15} />
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </motion.aside>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
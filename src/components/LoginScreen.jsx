@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { Loader2, LogIn } from "lucide-react";
+
+// Username/password form shown when the server requires sign-in (/api/auth/me answered 401).
+// Guests arrive through a magic link instead, which sets the session cookie before the app loads.
+export default function LoginScreen({ apiBase = "", accent, onSignedIn }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const resp = await fetch(`${apiBase}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      });
+      const json = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+      onSignedIn(json.user, Boolean(json.admin));
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const styles = {
+    wrap: { minHeight: "100vh", display: "grid", placeItems: "center", padding: 20 },
+    card: {
+      width: "100%",
+      maxWidth: 360,
+      borderRadius: 24,
+      border: "2px solid rgba(0,0,0,0.08)",
+      background: "rgba(255,255,255,0.9)",
+      boxShadow: "0 6px 24px rgba(0,0,0,0.06)",
+      padding: 28,
+      display: "flex",
+      flexDirection: "column",
+      gap: 12,
+    },
+    logo: { height: 32, alignSelf: "center", marginBottom: 8 },
+    h1: { fontSize: 22, fontWeight: 600, margin: 0, textAlign: "center" },
+    input: {
+      padding: "12px 14px",
+      borderRadius: 14,
+      border: `1px solid ${accent}`,
+      outline: "none",
+      fontSize: 14,
+    },
+    button: {
+      display: "inline-flex",
+      alignItems: "center",
+      justifyContent: "center",
+      gap: 8,
+      border: "none",
+      borderRadius: 30,
+      padding: "12px 18px",
+      fontSize: 14,
+      fontWeight: 600,
+      color: "#fff",
+      background: accent,
+      cursor: busy ? "default" : "pointer",
+      opacity: busy ? 0.7 : 1,
+    },
+    error: { fontSize: 13, color: "#ff453a", textAlign: "center" },
+    hint: { fontSize: 12, opacity: 0.6, textAlign: "center" },
+  };
+
+  return (
+    <div style={styles.wrap}>
+      <motion.form initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} style={styles.card} onSubmit={submit}>
+        <img src="/helport.png" alt="Helport AI" style={styles.logo} />
+        <h1 style={styles.h1}>Sign in</h1>
+        <input
+          style={styles.input}
+          placeholder="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoFocus
+        />
+        <input
+          style={styles.input}
+          placeholder="Password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        {error && <div style={styles.error}>{error}</div>}
+        <button type="submit" style={styles.button} disabled={busy || !username || !password}>
+          {busy ? <Loader2 size={16} className="animate-spin" /> : <LogIn size={16} />} Sign in
+        </button>
+        <div style={styles.hint}>Demo guest? Open the invite link you were sent.</div>
+      </motion.form>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React from "react";
+import ReactMarkdown, { defaultUrlTransform } from "react-markdown";
+import remarkGfm from "remark-gfm";
+
+// Markdown for assistant answers (GitHub flavour: tables, strikethrough, task lists, autolinks).
+// Safe by construction: raw HTML in the text is shown as text (no rehype-raw), and every link/image
+// URL goes through defaultUrlTransform, which drops anything but http(s), mailto and relative URLs.
+// Streaming is fine as-is: each partial update re-parses the whole text, and an unclosed fence
+// or emphasis just renders as a code block / plain asterisks until the rest arrives.
+
+const styles = {
+  // Negative margin cancels the first/last block's margin so the bubble padding stays even
+  root: { margin: "-0.5em 0", lineHeight: 1.5, overflowWrap: "anywhere" },
+  p: { margin: "0.5em 0" },
+  list: { margin: "0.5em 0", paddingLeft: "1.4em" },
+  heading: { margin: "0.7em 0 0.4em", fontSize: "1.05em", fontWeight: 600 },
+  link: { color: "inherit", textDecoration: "underline" },
+  inlineCode: {
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    fontSize: "0.9em",
+    padding: "1px 5px",
+    borderRadius: 6,
+    background: "rgba(0,0,0,0.06)",
+  },
+  pre: {
+    margin: "0.5em 0",
+    padding: "10px 12px",
+    borderRadius: 10,
+    background: "#0f172a",
+    color: "#e2e8f0",
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    fontSize: 13,
+    lineHeight: 1.45,
+    overflowX: "auto",
+    whiteSpace: "pre",
+  },
+  tableWrap: { margin: "0.5em 0", overflowX: "auto" },
+  table: { borderCollapse: "collapse", fontSize: 13 },
+  cell: { border: "1px solid rgba(0,0,0,0.12)", padding: "5px 9px", textAlign: "left", verticalAlign: "top" },
+  th: { background: "rgba(0,0,0,0.04)", fontWeight: 600 },
+  quote: { margin: "0.5em 0", padding: "0 0 0 10px", borderLeft: "3px solid rgba(0,0,0,0.15)", opacity: 0.85 },
+  hr: { border: "none", borderTop: "1px solid rgba(0,0,0,0.12)", margin: "0.8em 0" },
+};
+
+// Plain element with our style; react-markdown's `node` prop is dropped so it doesn't reach the DOM
+function styled(Tag, style) {
+  return function Styled(props) {
+    const rest = { ...props };
+    delete rest.node;
+    return <Tag {...rest} style={{ ...style, ...props.style }} />;
+  };
+}
+
+const components = {
+  p: styled("p", styles.p),
+  ul: styled("ul", styles.list),
+  ol: styled("ol", styles.list),
+  h1: styled("h3", { ...styles.heading, fontSize: "1.15em" }),
+  h2: styled("h3", { ...styles.heading, fontSize: "1.1em" }),
+  h3: styled("h4", styles.heading),
+  h4: styled("h5", styles.heading),
+  h5: styled("h6", styles.heading),
+  h6: styled("h6", styles.heading),
+  // Answers are read next to the CRM; links never replace the chat
+  a: ({ href, children }) =>
+    href ? (
+      <a href={href} target="_blank" rel="noopener noreferrer nofollow" style={styles.link}>
+        {children}
+      </a>
+    ) : (
+      <span>{children}</span>
+    ),
+  // Remote images would let an answer load arbitrary URLs (tracking pixels); show them as links instead
+  img: ({ src, alt }) =>
+    src ? (
+      <a href={src} target="_blank" rel="noopener noreferrer nofollow" style={styles.link}>
+        {alt || "image"}
+      </a>
+    ) : null,
+  pre: ({ children }) => <pre style={styles.pre}>{children}</pre>,
+  // Fenced blocks carry a language-* class; inline code has neither a class nor a newline
+  code: ({ className, children }) =>
+    className || String(children).includes("\n") ? (
+      <code className={className}>{children}</code>
+    ) : (
+      <code style={styles.inlineCode}>{children}</code>
+    ),
+  table: ({ children }) => (
+    <div style={styles.tableWrap}>
+      <table style={styles.table}>{children}</table>
+    </div>
+  ),
+  th: styled("th", { ...styles.cell, ...styles.th }),
+  td: styled("td", styles.cell),
+  blockquote: styled("blockquote", styles.quote),
+  hr: () => <hr style={styles.hr} />,
+};
+
+export default function Markdown({ text }) {
+  return (
+    <div style={styles.root}>
+      <ReactMarkdown remarkPlugins={[remarkGfm]} components={components} urlTransform={defaultUrlTransform}>
+        {text || ""}
+      </ReactMarkdown>
+    </div>
+  );
+}
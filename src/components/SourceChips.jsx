@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { FileText } from "lucide-react";
+
+// Numbered source chips under an answer (citations from the knowledge base retrieval).
+// Clicking a chip shows the passage the answer drew on, so reps can check a claim before using it.
+export default function SourceChips({ citations, accent }) {
+  const [openIndex, setOpenIndex] = useState(-1);
+  if (!citations?.length) return null;
+  const open = citations[openIndex];
+
+  const styles = {
+    wrap: { margin: "-4px 0 8px 60px", maxWidth: "calc(85% - 60px)" }, // under the bubble, past the avatar
+    chips: { display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6 },
+    label: { fontSize: 11, opacity: 0.55 },
+    chip: (active) => ({
+      display: "inline-flex",
+      alignItems: "center",
+      gap: 4,
+      maxWidth: 220,
+      padding: "3px 8px",
+      fontSize: 12,
+      borderRadius: 12,
+      border: `1px solid ${active ? accent : "rgba(0,0,0,0.12)"}`,
+      background: active ? `${accent}14` : "#ffffff",
+      color: "#0a0a0a",
+      cursor: "pointer",
+    }),
+    chipName: { overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" },
+    num: { fontWeight: 600, color: accent },
+    panel: {
+      marginTop: 6,
+      padding: "10px 12px",
+      borderRadius: 12,
+      border: "1px solid rgba(0,0,0,0.08)",
+      background: "rgba(255,255,255,0.95)",
+      fontSize: 13,
+      overflow: "hidden",
+    },
+    panelHead: { display: "flex", gap: 8, fontSize: 12, opacity: 0.7, marginBottom: 6 },
+    snippet: { whiteSpace: "pre-wrap", maxHeight: 200, overflowY: "auto", lineHeight: 1.45 },
+  };
+
+  return (
+    <div style={styles.wrap}>
+      <div style={styles.chips}>
+        <span style={styles.label}>Sources</span>
+        {citations.map((c, i) => (
+          <button
+            key={`${c.segment_id || c.document_name}-${i}`}
+            onClick={() => setOpenIndex(i === openIndex ? -1 : i)}
+            style={styles.chip(i === openIndex)}
+            aria-expanded={i === openIndex}
+            title={c.document_name}
+          >
+            <span style={styles.num}>{i + 1}</span>
+            <span style={styles.chipName}>{c.document_name}</span>
+          </button>
+        ))}
+      </div>
+      <AnimatePresence initial={false}>
+        {open && (
+          <motion.div
+            key={openIndex}
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            style={styles.panel}
+          >
+            <div style={styles.panelHead}>
+              <FileText size={14} />
+              <span style={{ fontWeight: 600 }}>{open.document_name}</span>
+              {open.dataset_name && <span>· {open.dataset_name}</span>}
+              {open.score !== null && <span style={{ marginLeft: "auto" }}>relevance {open.score.toFixed(2)}</span>}
+            </div>
+            <div style={styles.snippet}>{open.content || "No passage text was returned for this source."}</div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { CornerDownRight } from "lucide-react";
+
+// Follow-up questions Dify suggests after an answer; picking one asks it right away
+export default function SuggestionChips({ questions, accent, onPick }) {
+  if (!questions?.length) return null;
+
+  const styles = {
+    wrap: { display: "flex", flexWrap: "wrap", gap: 6, margin: "0 0 10px 60px", maxWidth: "calc(85% - 60px)" }, // past the avatar
+    chip: {
+      display: "inline-flex",
+      alignItems: "center",
+      gap: 6,
+      padding: "6px 12px",
+      fontSize: 13,
+      textAlign: "left",
+      borderRadius: 16,
+      border: `1px solid ${accent}`,
+      background: "#ffffff",
+      color: "#0a0a0a",
+      cursor: "pointer",
+    },
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 4 }} animate={{ opacity: 1, y: 0 }} style={styles.wrap}>
+      {questions.map((q) => (
+        <button key={q} onClick={() => onPick(q)} style={styles.chip}>
+          <CornerDownRight size={13} color={accent} />
+          {q}
+        </button>
+      ))}
+    </motion.div>
+  );
+}
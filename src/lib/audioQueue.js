@@ -0,0 +1,80 @@
+// audioQueue.js - plays TTS clips back to back with the Web Audio API
+// Clips are fetched and decoded as soon as they are queued, then scheduled on one timeline so
+// consecutive sentences play without the gap an <audio> src swap would leave.
+
+export function createAudioQueue({ onStart, onIdle } = {}) {
+  let ctx = null;
+  let generation = 0; // bumped by stop() so late decodes from an old answer are dropped
+  let chain = Promise.resolve();
+  let playhead = 0;
+  let pending = 0; // clips queued but not finished playing
+  const sources = new Set();
+
+  function context() {
+    if (!ctx) ctx = new (window.AudioContext || window.webkitAudioContext)();
+    return ctx;
+  }
+
+  function settle(gen) {
+    if (gen === generation && --pending === 0) onIdle?.();
+  }
+
+  return {
+    // Call from a click handler: browsers only let a resumed AudioContext play
+    unlock() {
+      const c = context();
+      if (c.state === "suspended") c.resume().catch(() => {});
+    },
+
+    enqueue(url) {
+      const gen = generation;
+      const c = context();
+      if (pending++ === 0) onStart?.();
+
+      const decoded = fetch(url)
+        .then((r) => {
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          return r.arrayBuffer();
+        })
+        .then((buf) => c.decodeAudioData(buf));
+      decoded.catch(() => {}); // reported in order below
+
+      chain = chain.then(async () => {
+        let buffer;
+        try {
+          buffer = await decoded;
+        } catch (err) {
+          console.warn("TTS clip failed:", url, err);
+          settle(gen);
+          return;
+        }
+        if (gen !== generation) return;
+
+        const src = c.createBufferSource();
+        src.buffer = buffer;
+        src.connect(c.destination);
+        playhead = Math.max(playhead, c.currentTime + 0.02);
+        src.start(playhead);
+        playhead += buffer.duration;
+        sources.add(src);
+        src.onended = () => {
+          sources.delete(src);
+          settle(gen);
+        };
+      });
+    },
+
+    // Cut playback immediately and forget anything still queued
+    stop() {
+      const wasActive = pending > 0;
+      generation++;
+      pending = 0;
+      playhead = 0;
+      for (const src of sources) {
+        try { src.stop(); } catch { /* already stopped */ }
+      }
+      sources.clear();
+      if (wasActive) onIdle?.();
+    },
+  };
+}
@@ -0,0 +1,52 @@
+// vad.js - energy-based voice activity detection on a MediaStream
+// Calls onSpeechEnd once the user has spoken for at least minSpeechMs and then stayed below
+// `threshold` (RMS, 0..1) for `hangMs`. Blips shorter than minSpeechMs are ignored.
+
+export const VAD_DEFAULTS = {
+  threshold: Number(import.meta.env.VITE_VAD_THRESHOLD || 0.015),
+  hangMs: Number(import.meta.env.VITE_VAD_HANG_MS || 900),
+  minSpeechMs: 250,
+};
+
+export function createVad(stream, { onSpeechStart, onSpeechEnd, ...options } = {}) {
+  const { threshold, hangMs, minSpeechMs } = { ...VAD_DEFAULTS, ...options };
+  const ctx = new (window.AudioContext || window.webkitAudioContext)();
+  const source = ctx.createMediaStreamSource(stream);
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+
+  let inSpeech = false;
+  let speechStart = 0;
+  let lastVoice = 0;
+
+  // setInterval rather than rAF so detection keeps running when the tab is in the background
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (const v of samples) sum += v * v;
+    const rms = Math.sqrt(sum / samples.length);
+    const now = performance.now();
+
+    if (rms >= threshold) {
+      lastVoice = now;
+      if (!inSpeech) {
+        inSpeech = true;
+        speechStart = now;
+        onSpeechStart?.();
+      }
+    } else if (inSpeech && now - lastVoice >= hangMs) {
+      inSpeech = false;
+      if (lastVoice - speechStart >= minSpeechMs) onSpeechEnd?.();
+    }
+  }, 50);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      source.disconnect();
+      ctx.close().catch(() => {});
+    },
+  };
+}
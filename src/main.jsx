@@ -2,9 +2,15 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import AdminConsole from './components/AdminConsole.jsx'
+import AnalyticsDashboard from './components/AnalyticsDashboard.jsx'
+
+// /admin is the operator console and /admin/analytics its analytics page; every other path is the bot UI
+const pathname = window.location.pathname.replace(/\/+$/, '')
+const Page = { '/admin': AdminConsole, '/admin/analytics': AnalyticsDashboard }[pathname] || App
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <Page />
   </StrictMode>,
 )
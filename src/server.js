@@ -6,6 +6,48 @@ import "dotenv/config";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
+import { formatSseEvent } from "./shared/sse.js";
+import { createRecognizer } from "./server/stt/index.js";
+import { handleVoiceConnection } from "./server/voice.js";
+import { createSynthesizer, getAudio } from "./server/tts/index.js";
+import {
+  canContinueConversation,
+  deleteConversation,
+  findAnswer,
+  flushStore,
+  getConversation,
+  isConversationId,
+  listConversations,
+  listFeedback,
+  recordExchange,
+  recordFailedTurn,
+  recordFeedback,
+  renameConversation,
+  storeName,
+} from "./server/store.js";
+import {
+  authEnabled,
+  checkPassword,
+  clearSessionCookie,
+  identityFromRequest,
+  isAdmin,
+  redeemMagicToken,
+  requireAdmin,
+  requireAuth,
+  requireSignedIn,
+  setSessionCookie,
+} from "./server/auth.js";
+import { botsSource, defaultBot, getBot, listBots, publicBot, reloadBots, resolveBot, toChatInputs } from "./server/bots.js";
+import { botStats, recordError, recordTurn } from "./server/stats.js";
+import { parseDays, summary, topQuestions, unanswered, volume } from "./server/analytics.js";
+import { findSession, listSessions } from "./server/sessions.js";
+import { CLOSE_CODES, ERROR_CODES } from "./shared/protocol.js";
+import { addTokens, rateLimitRequests, clientKey, flushRateLimits } from "./server/rateLimit.js";
+import { STREAM_EVENTS, suggestFollowUps } from "./server/llm/index.js";
+import { describeFailure } from "./server/llm/resilience.js";
+import { createLogger, requestLogger } from "./server/log.js";
+import { chatRequestDuration, circuitOpen, serveMetrics, voiceSessionsActive } from "./server/metrics.js";
+import { UPLOAD_LIMITS, checkUpload, formatBytes, toChatFiles } from "./server/uploads.js";
 
 // Resolve filesystem helpers in ESM context
 const __filename = fileURLToPath(import.meta.url);
@@ -21,10 +63,18 @@ function resolveNodeEnv() {
 const resolvedEnv = resolveNodeEnv();
 process.env.NODE_ENV = resolvedEnv;
 const isProd = resolvedEnv === "production";
-console.log(`[server] Starting in ${resolvedEnv} mode`);
+const log = createLogger("server");
+log.info("starting", { mode: resolvedEnv });
 
 const app = express();
+// Request ids (X-Request-Id) and one access-log line per API request (src/server/log.js)
+app.use(requestLogger);
 app.use(express.json());
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so req.ip is the real client for rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Minimal CORS for local development (not needed in prod same-origin)
 app.use((req, res, next) => {
@@ -32,7 +82,8 @@ app.use((req, res, next) => {
     res.setHeader("Access-Control-Allow-Origin", "*");
   }
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Expose-Headers", "X-Request-Id, Retry-After");
   if (req.method === "OPTIONS") return res.sendStatus(204);
   next();
 });
@@ -40,67 +91,420 @@ app.use((req, res, next) => {
 const server = http.createServer(app);
 const wss = new WebSocketServer({ noServer: true });
 
-app.get("/health", (_, res) => res.send("ok"));
+// ----- Health checks and metrics (outside /api: no sign-in, no rate limits) -----
+// Liveness: the process is up and serving (plain /health is kept for existing probes).
+// Readiness: it can answer questions: every Dify-backed bot has an API key and, in production,
+// the frontend build is there. 503 with the failing checks otherwise.
+app.get(["/health", "/health/live"], (_, res) => res.send("ok"));
+
+function readinessChecks() {
+  const keyless = listBots()
+    .filter((bot) => bot.backend.name.startsWith("dify") && !bot.apiKey)
+    .map((bot) => bot.slug);
+  const built = !isProd || fs.existsSync(path.join(distDir, "index.html"));
+  return {
+    dify_api_key: keyless.length ? { ok: false, message: `No Dify API key for bot ${keyless.join(", ")}` } : { ok: true },
+    // In development Vite serves the frontend itself
+    frontend: built ? { ok: true } : { ok: false, message: "dist/index.html missing; run npm run build" },
+  };
+}
+
+app.get("/health/ready", (_, res) => {
+  const checks = readinessChecks();
+  const ready = Object.values(checks).every((check) => check.ok);
+  res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", checks });
+});
+
+// Prometheus scrape endpoint (src/server/metrics.js); gauges that mirror live state are read now
+app.get("/metrics", (req, res) => {
+  voiceSessionsActive.set({}, listSessions().length);
+  for (const bot of listBots()) circuitOpen.set({ bot: bot.slug }, bot.backend.breaker.state().state === "closed" ? 0 : 1);
+  serveMetrics(req, res);
+});
+
+// ----- Sign-in (see src/server/auth.js); everything else under /api needs a session when enabled -----
+if (!authEnabled()) log.warn("AUTH_SECRET not set: sign-in is disabled and the API is open to anyone");
+
+app.get("/api/auth/me", (req, res) => {
+  if (!authEnabled()) return res.json({ auth: false, user: null, admin: isAdmin(null) });
+  const identity = identityFromRequest(req);
+  if (!identity) return res.status(401).json({ auth: true, user: null, error: "Not signed in", code: "unauthorized" });
+  res.json({ auth: true, user: identity, admin: isAdmin(identity) });
+});
+
+app.post("/api/auth/login", rateLimitRequests, (req, res) => {
+  if (!authEnabled()) return res.status(404).json({ error: "Sign-in is not enabled" });
+  const { username, password } = req.body || {};
+  const identity = checkPassword(username, password);
+  if (!identity) return res.status(401).json({ error: "Wrong username or password", code: "unauthorized" });
+  setSessionCookie(res, identity);
+  res.json({ auth: true, user: identity, admin: isAdmin(identity) });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  clearSessionCookie(res);
+  res.sendStatus(204);
+});
+
+// Guest magic link (minted with `npm run auth -- magic-link <name>`): set the cookie, go to the app
+app.get("/api/auth/magic", (req, res) => {
+  if (!authEnabled()) return res.redirect("/");
+  const identity = redeemMagicToken(req.query.token);
+  if (!identity) return res.status(401).type("text/plain").send("This link is invalid or has expired.");
+  setSessionCookie(res, identity);
+  res.redirect("/");
+});
+
+// Persona registry (see src/server/bots.js); public so the sign-in screen can be branded too
+app.get("/api/bots", (req, res) => {
+  res.json({ default: defaultBot().slug, data: listBots().map(publicBot) });
+});
+
+app.get("/api/bots/:slug", (req, res) => {
+  const bot = getBot(req.params.slug);
+  if (!bot) return res.status(404).json({ error: "Bot not found" });
+  res.json(publicBot(bot));
+});
+
+app.use("/api", requireAuth);
+
+// Chat endpoint: the bot's backend (src/server/llm/, Dify by default) answers the question.
+// response_mode "streaming" sends SSE events as the answer arrives (`message` deltas, then
+// `message_end` with citations and usage, plus Dify's workflow progress events); anything else gets
+// one JSON reply { answer, conversation_id, message_id, citations, usage, suggestions }.
+// `bot` picks the persona (backend + default inputs); without it the default bot answers.
+// `files` attaches uploads from /api/upload ([{ id, type }]) to the question.
+// Follow-up questions come as `suggestions` (JSON field, or a final `suggestions` event).
+app.post("/api/chat", rateLimitRequests, async (req, res) => {
+  const bot = resolveBot(req.body?.bot);
+  if (!bot) return res.status(404).json({ error: "Bot not found" });
+  res.locals.bot = bot.slug;
+
+  const { query, conversation_id: conversationId } = req.body || {};
+  if (!query || typeof query !== "string") {
+    return res.status(400).json({ error: "Missing required 'query' string" });
+  }
+  if (conversationId && !isConversationId(conversationId)) {
+    return res.status(400).json({ error: "Invalid 'conversation_id'" });
+  }
+  const attached = toChatFiles(req.body.files);
+  if (attached.error) return res.status(400).json({ error: attached.error });
+  const context = toChatInputs(bot, req.body.inputs);
+  if (context.error) return res.status(400).json({ error: context.error });
+
+  // A signed-in identity always wins over whatever the client claims to be
+  const params = {
+    query,
+    inputs: context.inputs,
+    conversation_id: typeof conversationId === "string" && conversationId ? conversationId : undefined,
+    user: req.identity?.id || req.body.user || process.env.DIFY_DEFAULT_USER || "web",
+    files: attached.files,
+  };
+  // Someone else's thread (or another bot's) is not continued, nor shown to the backend
+  if (params.conversation_id && !canContinueConversation(params.conversation_id, { user: params.user, bot: bot.slug })) {
+    return res.status(404).json({ error: "Conversation not found", code: ERROR_CODES.UNKNOWN_CONVERSATION });
+  }
+  const streaming = req.body.response_mode === "streaming";
+  const startedAt = Date.now();
+  const observeDuration = chatRequestDuration.startTimer({ bot: bot.slug, mode: streaming ? "streaming" : "blocking" });
+  res.once("close", () => observeDuration({ status: res.writableFinished ? res.statusCode : "aborted" }));
+
+  // The SSE response starts with the first event, so a backend that refuses the question
+  // still gets a plain JSON error
+  const openStream = () => {
+    if (res.headersSent) return;
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+  };
 
-// Proxy endpoint for Dify Chatflow (Advanced Chat)
-app.post("/api/chat", async (req, res) => {
-  const apiKey = process.env.DIFY_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: "DIFY_API_KEY not set" });
+  // A client that goes away (closed tab, Stop button) cancels the upstream call too
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  let taskId = null;
 
   try {
-    const { query, inputs = {}, conversation_id, user, response_mode } = req.body || {};
-    if (!query || typeof query !== "string") {
-      return res.status(400).json({ error: "Missing required 'query' string" });
+    const result = await bot.backend.chat(params, {
+      signal: controller.signal,
+      onEvent: (evt) => {
+        if (evt.task_id) taskId = evt.task_id;
+        if (!streaming || !STREAM_EVENTS.has(evt.event)) return;
+        openStream();
+        res.write(formatSseEvent(evt.event, evt));
+      },
+    });
+    if (controller.signal.aborted) return;
+
+    addTokens(clientKey(req), result.usage);
+    recordExchange({
+      conversationId: result.conversation_id,
+      user: params.user,
+      bot: bot.slug,
+      mode: "text",
+      query,
+      answer: result.answer,
+      messageId: result.message_id,
+      citations: result.citations,
+      startedAt,
+    });
+    recordTurn(bot.slug, { mode: "text", latencyMs: Date.now() - startedAt });
+
+    const suggestions = await suggestFollowUps(bot.backend, result.message_id, params.user, { signal: controller.signal });
+    if (!streaming) return res.json({ ...result, suggestions });
+    openStream();
+    if (suggestions.length) res.write(formatSseEvent("suggestions", { event: "suggestions", message_id: result.message_id, questions: suggestions }));
+    res.end();
+  } catch (err) {
+    if (controller.signal.aborted) {
+      // Dropping the upstream stream does not stop Dify from generating; tell it explicitly
+      if (taskId && bot.backend.stop) {
+        bot.backend.stop(taskId, params.user).catch((e) => log.warn("stop failed", { backend: bot.backend.name, err: e }));
+      }
+      return;
+    }
+    // The user gets a friendly message and a code; the raw error stays in the log
+    const { status, code, message, retry_after: retryAfter } = describeFailure(err, bot.name);
+    log.error("chat failed", { bot: bot.slug, code, err });
+    recordError(bot.slug, "chat", err?.message || err);
+    recordFailedTurn({ conversationId: params.conversation_id, user: params.user, bot: bot.slug, mode: "text", query, code, startedAt });
+    const extra = retryAfter ? { retry_after: retryAfter } : {};
+    if (!res.headersSent) {
+      if (retryAfter) res.set("Retry-After", String(retryAfter));
+      return res.status(status).json({ error: message, code, ...extra });
     }
+    res.write(formatSseEvent("error", { event: "error", code, message, ...extra }));
+    res.end();
+  }
+});
 
-    const body = {
-      query,
-      inputs,
-      conversation_id,
-      user: user || process.env.DIFY_DEFAULT_USER || "web",
-      response_mode: response_mode || "blocking",
-    };
-
-    // Normalize base URL: ensure NO trailing /v1 (we add it)
-    const rawBase = process.env.DIFY_BASE_URL || "https://agent.helport.ai";
-    const base = rawBase.replace(/\/v1\/?$/, "");
-    const url = `${base}/v1/chat-messages`; // Chatflow endpoint
-
-    console.log("Proxying ->", url, "status: pending");
-    console.log("Payload:", JSON.stringify(body));
-
-    const upstream = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(body),
+// File upload for questions about the user's own documents (limits in src/server/uploads.js).
+// The body is the raw file, ?name= its file name and ?bot= the bot that will be asked; the reply
+// { id, name, size, mime_type, type } goes into the next /api/chat call's `files`. Only backends
+// with an upload() take files (the Dify ones and mock).
+const readUpload = express.raw({ type: () => true, limit: UPLOAD_LIMITS.maxBytes });
+
+app.post(
+  "/api/upload",
+  rateLimitRequests,
+  (req, res, next) => {
+    const declared = Number(req.headers["content-length"]);
+    if (declared > UPLOAD_LIMITS.maxBytes) return res.status(413).json({ error: `File is larger than ${formatBytes(UPLOAD_LIMITS.maxBytes)}` });
+    readUpload(req, res, (err) => {
+      if (!err) return next();
+      if (err.type === "entity.too.large") return res.status(413).json({ error: `File is larger than ${formatBytes(UPLOAD_LIMITS.maxBytes)}` });
+      res.status(400).json({ error: "Could not read the upload" });
     });
+  },
+  async (req, res) => {
+    const bot = resolveBot(req.query.bot);
+    if (!bot) return res.status(404).json({ error: "Bot not found" });
+    res.locals.bot = bot.slug;
+    if (!bot.backend.upload) return res.status(501).json({ error: "This bot does not take files" });
+
+    const name = typeof req.query.name === "string" ? req.query.name.trim() : "";
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const checked = checkUpload({ name, size: data.length });
+    if (checked.error) return res.status(checked.status).json({ error: checked.error });
 
-    const text = await upstream.text();
-    const type = upstream.headers.get("content-type") || "";
-
-    if (type.includes("application/json")) {
-      return res.status(upstream.status).type("application/json").send(text);
-    } else {
-      console.error("Upstream non-JSON:", upstream.status, type, text.slice(0, 300));
-      return res.status(500).json({
-        error: "Upstream returned non-JSON",
-        status: upstream.status,
-        body: text,
-      });
+    try {
+      const user = req.identity?.id || req.query.user || process.env.DIFY_DEFAULT_USER || "web";
+      const file = await bot.backend.upload(data, { name, mimeType: checked.mimeType, user });
+      res.json({ ...file, mime_type: checked.mimeType, type: checked.type });
+    } catch (err) {
+      log.error("upload failed", { bot: bot.slug, err });
+      recordError(bot.slug, "upload", err?.message || err);
+      res.status(502).json({ error: "Upload to the assistant failed" });
     }
+  }
+);
+
+// Thumbs up/down on an answer: kept on the stored turn and forwarded to backends that take it
+// (Dify message feedback). rating null clears it. The user must be the one who asked, so it comes
+// from the stored thread.
+const FEEDBACK_RATINGS = ["like", "dislike", null];
+
+app.post("/api/feedback", rateLimitRequests, async (req, res) => {
+  const { message_id: messageId, rating = null, comment } = req.body || {};
+  if (!messageId || typeof messageId !== "string") return res.status(400).json({ error: "Missing required 'message_id' string" });
+  if (!FEEDBACK_RATINGS.includes(rating)) return res.status(400).json({ error: "'rating' must be \"like\", \"dislike\" or null" });
+  if (comment !== undefined && typeof comment !== "string") return res.status(400).json({ error: "'comment' must be a string" });
+
+  const found = findAnswer(messageId);
+  if (found && req.identity && found.convo.user !== req.identity.id) return res.status(404).json({ error: "Answer not found" });
+  const bot = resolveBot(found?.convo.bot || req.body.bot);
+  if (!bot) return res.status(404).json({ error: "Bot not found" });
+  res.locals.bot = bot.slug;
+
+  const content = comment?.trim().slice(0, 1000) || "";
+  const recorded = recordFeedback(messageId, { rating, comment: content });
+  let forwarded = false;
+  if (bot.backend.feedback) {
+    try {
+      await bot.backend.feedback(messageId, { rating, content, user: found?.convo.user || req.identity?.id || req.body.user });
+      forwarded = true;
+    } catch (err) {
+      log.warn("feedback not forwarded", { backend: bot.backend.name, err });
+    }
+  }
+  if (!recorded && !forwarded) return res.status(502).json({ error: "Could not save feedback" });
+  res.json({ message_id: messageId, rating, recorded, forwarded });
+});
+
+// Conversation history (see src/server/store.js): signed-in users see their own threads only,
+// and without sign-in there is no one to scope it to
+app.use("/api/conversations", requireSignedIn);
+
+function findOwnConversation(req) {
+  const convo = getConversation(req.params.id);
+  return convo?.user === req.identity.id ? convo : null;
+}
+
+app.get("/api/conversations", (req, res) => {
+  res.json({ data: listConversations({ user: req.identity.id, bot: req.query.bot }) });
+});
+
+app.get("/api/conversations/:id", (req, res) => {
+  const convo = findOwnConversation(req);
+  if (!convo) return res.status(404).json({ error: "Conversation not found" });
+  res.json(convo);
+});
+
+app.patch("/api/conversations/:id", (req, res) => {
+  const title = typeof req.body?.title === "string" ? req.body.title.trim() : "";
+  if (!title) return res.status(400).json({ error: "Missing required 'title' string" });
+  if (!findOwnConversation(req)) return res.status(404).json({ error: "Conversation not found" });
+  res.json(renameConversation(req.params.id, title.slice(0, 200)));
+});
+
+app.delete("/api/conversations/:id", (req, res) => {
+  if (!findOwnConversation(req)) return res.status(404).json({ error: "Conversation not found" });
+  deleteConversation(req.params.id);
+  res.sendStatus(204);
+});
+
+// ----- Admin console (/admin in the SPA): bots, live voice sessions, transcripts -----
+app.use("/api/admin", requireAdmin);
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    bot: session.bot.slug,
+    connected: Boolean(session.ws),
+    created_at: new Date(session.createdAt).toISOString(),
+    events: session.lastSeq,
+    ...session.voice.describe(),
+  };
+}
+
+function describeBots() {
+  const sessions = listSessions();
+  return listBots().map((bot) => ({
+    ...publicBot(bot),
+    default: bot.slug === defaultBot().slug,
+    backend: bot.backend.name,
+    circuit: bot.backend.breaker.state(),
+    has_api_key: Boolean(bot.apiKey),
+    input_keys: Object.keys(bot.inputs),
+    live_sessions: sessions.filter((s) => s.bot.slug === bot.slug).length,
+    stats: botStats(bot.slug),
+    feedback: {
+      like: listFeedback({ bot: bot.slug, rating: "like" }).length,
+      dislike: listFeedback({ bot: bot.slug, rating: "dislike" }).length,
+    },
+  }));
+}
+
+app.get("/api/admin/bots", (req, res) => {
+  res.json({ source: botsSource(), data: describeBots() });
+});
+
+app.post("/api/admin/bots/reload", (req, res) => {
+  try {
+    reloadBots();
   } catch (err) {
-    console.error("Proxy /api/chat error:", err);
-    return res.status(500).json({ error: String(err) });
+    return res.status(400).json({ error: err.message });
   }
+  log.info("bots reloaded", { admin: req.identity?.id || "anonymous", source: botsSource() });
+  res.json({ source: botsSource(), data: describeBots() });
+});
+
+app.get("/api/admin/sessions", (req, res) => {
+  res.json({ data: listSessions().map(describeSession) });
+});
+
+// Force-close: the browser sees CLOSE_CODES.CLOSED_BY_OPERATOR and does not reconnect
+app.delete("/api/admin/sessions/:id", (req, res) => {
+  const session = findSession(req.params.id);
+  if (!session) return res.status(404).json({ error: "Session not found" });
+  log.info("voice session closed by admin", { admin: req.identity?.id || "anonymous", session_id: session.id });
+  session.close(CLOSE_CODES.CLOSED_BY_OPERATOR, "closed by operator");
+  res.sendStatus(204);
+});
+
+// Every conversation, not just the admin's own
+app.get("/api/admin/conversations", (req, res) => {
+  res.json({ data: listConversations({ user: req.query.user, bot: req.query.bot }) });
+});
+
+// Rated answers, newest first; ?rating=dislike shows the ones that fell flat
+app.get("/api/admin/feedback", (req, res) => {
+  res.json({ data: listFeedback({ bot: req.query.bot, rating: req.query.rating }) });
+});
+
+app.get("/api/admin/conversations/:id", (req, res) => {
+  const convo = getConversation(req.params.id);
+  if (!convo) return res.status(404).json({ error: "Conversation not found" });
+  res.json(convo);
+});
+
+// ----- Analytics (/admin/analytics in the SPA): what visitors ask and what went unanswered -----
+// Every route takes ?days= (default 30, max 365) and ?bot=; the lists also take ?limit= (max 100).
+app.use("/api/analytics", requireAdmin);
+
+function analyticsOptions(query) {
+  const limit = Math.floor(Number(query.limit));
+  return {
+    bot: typeof query.bot === "string" && query.bot ? query.bot : undefined,
+    days: parseDays(query.days),
+    limit: limit > 0 ? Math.min(limit, 100) : 20,
+  };
+}
+
+app.get("/api/analytics/summary", (req, res) => {
+  res.json(summary(analyticsOptions(req.query)));
+});
+
+app.get("/api/analytics/volume", (req, res) => {
+  res.json(volume(analyticsOptions(req.query)));
+});
+
+app.get("/api/analytics/questions", (req, res) => {
+  res.json({ data: topQuestions(analyticsOptions(req.query)) });
+});
+
+// Disliked and fallback answers grouped by question: the knowledge-base gaps to fill
+app.get("/api/analytics/unanswered", (req, res) => {
+  res.json({ data: unanswered(analyticsOptions(req.query)) });
+});
+
+// Synthesized answer audio (short-lived, see src/server/tts/store.js)
+app.get("/api/tts/:id", (req, res) => {
+  const clip = getAudio(req.params.id);
+  if (!clip) return res.status(404).json({ error: "Audio not found or expired" });
+  res.set({ "Content-Type": clip.contentType, "Cache-Control": "private, max-age=300" });
+  res.send(clip.audio);
 });
 
 async function configureFrontend() {
   if (isProd) {
     if (!fs.existsSync(distDir)) {
-      console.warn("Static build not found at " + distDir + ". Run \"npm run build\" before starting the server in production.");
+      log.warn("static build not found; run \"npm run build\" before starting the server in production", { dir: distDir });
       return;
     }
 
@@ -120,7 +524,7 @@ async function configureFrontend() {
       res.sendFile(path.join(distDir, "index.html"));
     });
 
-    console.log(`[server] Serving static frontend from ${distDir}`);
+    log.info("serving static frontend", { dir: distDir });
     return;
   }
 
@@ -146,133 +550,53 @@ async function configureFrontend() {
     }
   });
 
-  console.log("[server] Vite dev middleware enabled");
+  log.info("Vite dev middleware enabled");
 }
 
 await configureFrontend();
 
 server.on("upgrade", (req, socket, head) => {
   if (req.url?.startsWith("/api/voicechat")) {
+    if (authEnabled()) {
+      req.identity = identityFromRequest(req);
+      if (!req.identity) {
+        socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+        return;
+      }
+    }
     wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
   } else {
     socket.destroy();
   }
 });
 
-wss.on("connection", (ws) => {
-  const sessionId = Math.random().toString(36).slice(2);
-  ws.send(JSON.stringify({ type: "session", session_id: sessionId }));
-
-  let collecting = false;
-  let audioBytes = 0;
-  let partialTimer = null;
-  const parts = ["What ", "programs ", "can you ", "offer me ", "today?"];
-  let i = 0;
+const recognizer = createRecognizer();
+const synthesizer = createSynthesizer();
+log.info("configured", { bots: botsSource(), stt: recognizer.name, tts: synthesizer.name, store: storeName() });
 
-  function stopStreaming() {
-    if (partialTimer) {
-      clearInterval(partialTimer);
-      partialTimer = null;
-    }
-  }
+wss.on("connection", (ws, req) => handleVoiceConnection(ws, req, { recognizer, synthesizer }));
 
-  ws.on("close", () => stopStreaming());
-
-  ws.on("message", (data, isBinary) => {
-    if (isBinary) {
-      if (collecting) audioBytes += data.length;
-      return;
-    }
+const PORT = process.env.PORT ? Number(process.env.PORT) : 3001;
+server.listen(PORT, () => log.info("listening", { url: `http://localhost:${PORT}` }));
 
+// Persist pending history before the container/process stops
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
     try {
-      const msg = JSON.parse(data.toString());
-
-      if (msg.type === "text") {
-        ws.send(
-          JSON.stringify({
-            type: "partial_answer",
-            text: msg.text.slice(0, 20) + (msg.text.length > 20 ? "..." : ""),
-          })
-        );
-        setTimeout(() => {
-          ws.send(JSON.stringify({ type: "final_answer", text: `Reply to: ${msg.text}` }));
-          ws.send(
-            JSON.stringify({
-              type: "tts_url",
-              url: "https://actions.google.com/sounds/v1/alarms/beep_short.ogg",
-            })
-          );
-          ws.send(JSON.stringify({ type: "done" }));
-        }, 250);
-        return;
-      }
-
-      if (msg.type === "start") {
-        collecting = true;
-        audioBytes = 0;
-        i = 0;
-        stopStreaming();
-
-        partialTimer = setInterval(() => {
-          if (!collecting) return;
-          if (i < parts.length) {
-            ws.send(
-              JSON.stringify({
-                type: "partial_transcript",
-                text: parts.slice(0, i + 1).join(""),
-              })
-            );
-            i++;
-          } else {
-            ws.send(
-              JSON.stringify({
-                type: "partial_transcript",
-                text: parts.join(""),
-              })
-            );
-          }
-        }, 150);
-      } else if (msg.type === "stop") {
-        collecting = false;
-        stopStreaming();
-
-        const finalText = parts.join("");
-        ws.send(JSON.stringify({ type: "final_transcript", text: finalText }));
-
-        ws.send(
-          JSON.stringify({
-            type: "partial_answer",
-            text: "We can walk you through a few options...",
-          })
-        );
-        setTimeout(() => {
-          ws.send(
-            JSON.stringify({
-              type: "final_answer",
-              text: "Here are a few common programs...\n- Conventional\n- FHA\n- VA\n- Cash-out refi",
-            })
-          );
-          ws.send(
-            JSON.stringify({
-              type: "tts_url",
-              url: "https://actions.google.com/sounds/v1/cartoon/wood_plank_flicks.ogg",
-            })
-          );
-          ws.send(JSON.stringify({ type: "done" }));
-        }, 400);
-      }
-    } catch {}
+      flushStore();
+    } catch (err) {
+      log.error("final store save failed", { err });
+    }
+    flushRateLimits();
+    process.exit(0);
   });
-});
-
-const PORT = process.env.PORT ? Number(process.env.PORT) : 3001;
-server.listen(PORT, () => console.log(`Mock WS server on http://localhost:${PORT}`));
+}
 
 server.on("error", (err) => {
   if (err.code === "EADDRINUSE") {
-    console.error(`Port ${PORT} already in use. If another instance is running, stop it or set PORT to a different value.`);
+    log.error("port already in use; stop the other instance or set PORT to a different value", { port: PORT });
     process.exit(1);
   }
-  console.error("Server error:", err);
+  log.error("server error", { err });
   process.exit(1);
 });
@@ -0,0 +1,203 @@
+// analytics.js - what visitors ask, for the analytics page (/admin/analytics, /api/analytics/*)
+// Aggregates the question/answer pairs in the conversation store (text and voice) over the last
+// `days` days: volume over time, voice vs text, answer latency, the most frequent questions and
+// the ones the bot could not answer. Failed turns (timeout, open circuit, upstream error) count as
+// fallbacks and carry their error code.
+//   ANALYTICS_FALLBACK_PHRASES  comma-separated phrases that mark an answer as a fallback ("I don't
+//                               know"), matched case-insensitively anywhere in the answer; replaces
+//                               the default list below
+// Questions are clustered by normalized text: lowercased, accents and punctuation dropped, filler
+// words removed, simple plurals folded and the remaining words sorted, so "What are FHA loans?"
+// and "fha loan" land together.
+import { listExchanges } from "./store.js";
+import { percentile } from "./stats.js";
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const EXAMPLES_PER_TOPIC = 3;
+
+const DEFAULT_FALLBACK_PHRASES = [
+  "i don't know",
+  "i do not know",
+  "i'm not sure",
+  "i am not sure",
+  "i don't have information",
+  "i don't have enough information",
+  "i do not have information",
+  "i couldn't find",
+  "i could not find",
+  "no relevant information",
+  "unable to answer",
+  "not able to answer",
+  "outside my knowledge",
+].join(",");
+const FALLBACK_PHRASES = (process.env.ANALYTICS_FALLBACK_PHRASES || DEFAULT_FALLBACK_PHRASES)
+  .split(",")
+  .map((p) => foldQuotes(p.trim().toLowerCase()))
+  .filter(Boolean);
+
+const STOP_WORDS = new Set(
+  (
+    "a an the is are was were be been am do does did doing have has had i me my we our you your it its " +
+    "this that these those to of in on at for from by with about and or but if so can could would should " +
+    "will shall may might must what which who whom how when where why there here please tell know want " +
+    "need like just hi hello hey thanks thank any some"
+  ).split(" ")
+);
+
+function foldQuotes(text) {
+  return text.replace(/[\u2018\u2019\u02bc]/g, "'");
+}
+
+// The cluster key for a question; "" when nothing but filler is left
+export function normalizeQuestion(text) {
+  const words = String(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((w) => w && !STOP_WORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w));
+  return [...new Set(words)].sort().join(" ");
+}
+
+// An empty answer, or one that says it has nothing to go on
+export function isFallback(answer) {
+  const text = foldQuotes(String(answer || "").toLowerCase()).trim();
+  return !text || FALLBACK_PHRASES.some((phrase) => text.includes(phrase));
+}
+
+// ?days= clamped to 1..MAX_DAYS
+export function parseDays(value) {
+  const days = Math.floor(Number(value));
+  return Number.isFinite(days) && days > 0 ? Math.min(days, MAX_DAYS) : DEFAULT_DAYS;
+}
+
+function exchangesFor({ bot, days, now }) {
+  const since = new Date(now - days * DAY_MS);
+  return listExchanges({ bot, since }).map((x) => ({
+    ...x,
+    disliked: x.feedback?.rating === "dislike",
+    fallback: Boolean(x.error) || isFallback(x.answer),
+  }));
+}
+
+function latency(exchanges) {
+  const sorted = exchanges
+    .map((x) => x.latency_ms)
+    .filter((ms) => typeof ms === "number")
+    .sort((a, b) => a - b);
+  return {
+    avg: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+  };
+}
+
+// Headline numbers: { days, questions, conversations, users, by_mode, voice_share, latency_ms, feedback, fallbacks, failed, unanswered }
+export function summary({ bot, days = DEFAULT_DAYS, now = Date.now() } = {}) {
+  const exchanges = exchangesFor({ bot, days, now });
+  const voice = exchanges.filter((x) => x.mode === "voice");
+  const text = exchanges.filter((x) => x.mode !== "voice");
+  return {
+    days,
+    questions: exchanges.length,
+    conversations: new Set(exchanges.map((x) => x.conversation_id).filter(Boolean)).size,
+    users: new Set(exchanges.map((x) => x.user).filter(Boolean)).size,
+    by_mode: { text: text.length, voice: voice.length },
+    voice_share: exchanges.length ? voice.length / exchanges.length : null,
+    latency_ms: { ...latency(exchanges), by_mode: { text: latency(text).avg, voice: latency(voice).avg } },
+    feedback: {
+      like: exchanges.filter((x) => x.feedback?.rating === "like").length,
+      dislike: exchanges.filter((x) => x.disliked).length,
+    },
+    fallbacks: exchanges.filter((x) => x.fallback).length,
+    failed: exchanges.filter((x) => x.error).length,
+    unanswered: exchanges.filter((x) => x.disliked || x.fallback).length,
+  };
+}
+
+// Questions per hour (days <= 2) or per UTC day, oldest first and with empty buckets filled:
+// { interval, data: [{ start, text, voice }] }
+export function volume({ bot, days = DEFAULT_DAYS, now = Date.now() } = {}) {
+  const interval = days <= 2 ? "hour" : "day";
+  const step = interval === "hour" ? HOUR_MS : DAY_MS;
+  const first = Math.floor((now - days * DAY_MS) / step) * step;
+  const buckets = [];
+  for (let start = first; start <= now; start += step) buckets.push({ start: new Date(start).toISOString(), text: 0, voice: 0 });
+  for (const x of exchangesFor({ bot, days, now })) {
+    const bucket = buckets[Math.floor((Date.parse(x.asked_at) - first) / step)];
+    if (bucket) bucket[x.mode === "voice" ? "voice" : "text"]++;
+  }
+  return { interval, data: buckets };
+}
+
+// Exchanges grouped by normalized question, biggest first. Each topic is shown as the wording
+// asked most often.
+function cluster(exchanges) {
+  const topics = new Map();
+  for (const x of exchanges) {
+    const key = normalizeQuestion(x.question) || x.question.trim().toLowerCase();
+    let topic = topics.get(key);
+    if (!topic) {
+      topic = { key, wordings: new Map(), exchanges: [] };
+      topics.set(key, topic);
+    }
+    const wording = x.question.trim();
+    topic.wordings.set(wording, (topic.wordings.get(wording) || 0) + 1);
+    topic.exchanges.push(x);
+  }
+  return [...topics.values()]
+    .map((topic) => {
+      const [question] = [...topic.wordings].sort((a, b) => b[1] - a[1])[0];
+      const last = topic.exchanges.reduce((a, b) => (a.asked_at > b.asked_at ? a : b));
+      return { key: topic.key, question, variants: topic.wordings.size, exchanges: topic.exchanges, last_asked_at: last.asked_at };
+    })
+    .sort((a, b) => b.exchanges.length - a.exchanges.length || (a.last_asked_at < b.last_asked_at ? 1 : -1));
+}
+
+// Most frequent questions: [{ key, question, variants, count, voice, dislikes, fallbacks, last_asked_at }]
+export function topQuestions({ bot, days = DEFAULT_DAYS, limit = 20, now = Date.now() } = {}) {
+  return cluster(exchangesFor({ bot, days, now }))
+    .slice(0, limit)
+    .map(({ exchanges, ...topic }) => ({
+      ...topic,
+      count: exchanges.length,
+      voice: exchanges.filter((x) => x.mode === "voice").length,
+      dislikes: exchanges.filter((x) => x.disliked).length,
+      fallbacks: exchanges.filter((x) => x.fallback).length,
+    }));
+}
+
+// Knowledge-base gaps: topics whose answers were disliked or fallbacks, with a few examples
+// (newest first): [{ key, question, variants, count, dislikes, fallbacks, last_asked_at, examples }].
+// A failed turn's example has `error` set, and its reason is that code instead of "fallback".
+export function unanswered({ bot, days = DEFAULT_DAYS, limit = 20, now = Date.now() } = {}) {
+  const missed = exchangesFor({ bot, days, now }).filter((x) => x.disliked || x.fallback);
+  return cluster(missed)
+    .slice(0, limit)
+    .map(({ exchanges, ...topic }) => ({
+      ...topic,
+      count: exchanges.length,
+      dislikes: exchanges.filter((x) => x.disliked).length,
+      fallbacks: exchanges.filter((x) => x.fallback).length,
+      examples: exchanges
+        .sort((a, b) => (a.asked_at < b.asked_at ? 1 : -1))
+        .slice(0, EXAMPLES_PER_TOPIC)
+        .map((x) => ({
+          conversation_id: x.conversation_id,
+          message_id: x.message_id,
+          bot: x.bot,
+          mode: x.mode,
+          question: x.question,
+          answer: x.answer,
+          error: x.error,
+          reasons: [...(x.disliked ? ["dislike"] : []), ...(x.error ? [x.error] : x.fallback ? ["fallback"] : [])],
+          comment: x.feedback?.comment || "",
+          asked_at: x.asked_at,
+        })),
+    }));
+}
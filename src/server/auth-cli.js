@@ -0,0 +1,37 @@
+// auth-cli.js - manage demo sign-in from the shell
+//   npm run auth -- add-user <username> [display name]   (password from AUTH_PASSWORD or a prompt)
+//   npm run auth -- magic-link <guest name> [hours]      (needs AUTH_MAGIC_SECRET)
+import "dotenv/config";
+import readline from "readline";
+import { createMagicToken, saveUser } from "./auth.js";
+
+async function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await new Promise((resolve) => rl.question(question, resolve));
+  } finally {
+    rl.close();
+  }
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === "add-user" && args[0]) {
+  const [username, ...nameParts] = args;
+  const password = process.env.AUTH_PASSWORD || (await prompt(`Password for ${username}: `));
+  if (!password) {
+    console.error("Password must not be empty");
+    process.exit(1);
+  }
+  saveUser(username, password, nameParts.join(" ") || username);
+  console.log(`Saved account "${username}"`);
+} else if (command === "magic-link" && args[0]) {
+  const hours = Number(args[1] || 24);
+  const token = createMagicToken(args[0], hours);
+  const base = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
+  console.log(`${base}/api/auth/magic?token=${encodeURIComponent(token)}`);
+  console.log(`(valid for ${hours}h)`);
+} else {
+  console.log("Usage:\n  npm run auth -- add-user <username> [display name]\n  npm run auth -- magic-link <guest name> [hours]");
+  process.exit(command ? 1 : 0);
+}
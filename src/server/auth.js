@@ -0,0 +1,164 @@
+// auth.js - sign-in for the demo: signed session cookies, local accounts, guest magic links
+//   AUTH_SECRET         HMAC key for session cookies; auth is OFF (everyone is anonymous) without it
+//   AUTH_USERS_FILE     local accounts (default data/users.json), managed with `npm run auth`
+//   AUTH_MAGIC_SECRET   shared secret for guest magic links; links are disabled without it
+//   AUTH_SESSION_TTL_H  session lifetime in hours (default 168 = 7 days)
+//   ADMIN_USERS         comma-separated local usernames allowed into /admin
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "./log.js";
+
+const log = createLogger("auth");
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+export const SESSION_COOKIE = "hpai_session";
+const SESSION_TTL_MS = Number(process.env.AUTH_SESSION_TTL_H || 168) * 60 * 60 * 1000;
+const usersFile = path.resolve(rootDir, process.env.AUTH_USERS_FILE || "data/users.json");
+
+export function authEnabled() {
+  return Boolean(process.env.AUTH_SECRET);
+}
+
+// ----- signed tokens: base64url(JSON payload) + "." + base64url(HMAC-SHA256) -----
+
+export function sign(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const mac = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  return `${body}.${mac}`;
+}
+
+export function verify(token, secret) {
+  if (!token || !secret) return null;
+  const [body, mac] = String(token).split(".");
+  if (!body || !mac) return null;
+  const expected = crypto.createHmac("sha256", secret).update(body).digest();
+  const given = Buffer.from(mac, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf-8"));
+    return payload.exp && payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// ----- local accounts (scrypt hashes in a JSON file) -----
+
+function loadUsers() {
+  try {
+    return JSON.parse(fs.readFileSync(usersFile, "utf-8")).users || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error("could not read accounts", { file: usersFile, err });
+    return {};
+  }
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString("base64url");
+}
+
+export function saveUser(username, password, displayName = username) {
+  const users = loadUsers();
+  const salt = crypto.randomBytes(16).toString("base64url");
+  users[username] = { salt, hash: hashPassword(password, salt), display_name: displayName };
+  fs.mkdirSync(path.dirname(usersFile), { recursive: true });
+  fs.writeFileSync(usersFile, JSON.stringify({ users }, null, 2));
+}
+
+// Returns the identity for a valid username/password, else null. Only the file's own entries
+// count: a name like "__proto__" or "constructor" must not reach Object.prototype.
+export function checkPassword(username, password) {
+  if (typeof username !== "string" || typeof password !== "string") return null;
+  const users = loadUsers();
+  const account = Object.hasOwn(users, username) ? users[username] : null;
+  if (!account) return null;
+  const expected = Buffer.from(account.hash, "base64url");
+  const given = Buffer.from(hashPassword(password, account.salt), "base64url");
+  if (!crypto.timingSafeEqual(given, expected)) return null;
+  return { id: username, name: account.display_name || username, kind: "local" };
+}
+
+// ----- guest magic links -----
+
+export function createMagicToken(guestName, hours = 24) {
+  const secret = process.env.AUTH_MAGIC_SECRET;
+  if (!secret) throw new Error("AUTH_MAGIC_SECRET not set");
+  return sign({ name: guestName, exp: Date.now() + hours * 60 * 60 * 1000 }, secret);
+}
+
+export function redeemMagicToken(token) {
+  const payload = verify(token, process.env.AUTH_MAGIC_SECRET);
+  if (!payload?.name) return null;
+  return { id: `guest:${payload.name}`, name: payload.name, kind: "guest" };
+}
+
+// ----- session cookies -----
+
+// The value of one cookie, or null. Only that cookie is decoded, and a malformed one (bad
+// %-escapes make decodeURIComponent throw) counts as absent: this also runs on WebSocket upgrades,
+// where nothing would catch the error.
+export function readCookie(header = "", name) {
+  for (const part of header.split(";")) {
+    const eq = part.indexOf("=");
+    if (eq <= 0 || part.slice(0, eq).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Identity from the request's session cookie (works for Express requests and raw upgrade requests)
+export function identityFromRequest(req) {
+  if (!authEnabled()) return null;
+  const payload = verify(readCookie(req.headers.cookie, SESSION_COOKIE), process.env.AUTH_SECRET);
+  return payload ? { id: payload.sub, name: payload.name, kind: payload.kind } : null;
+}
+
+export function setSessionCookie(res, identity) {
+  const token = sign({ sub: identity.id, name: identity.name, kind: identity.kind, exp: Date.now() + SESSION_TTL_MS }, process.env.AUTH_SECRET);
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production" && process.env.AUTH_INSECURE_COOKIE !== "1",
+    maxAge: SESSION_TTL_MS,
+    path: "/",
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+// Express middleware: attach req.identity, reject anonymous requests when auth is on
+export function requireAuth(req, res, next) {
+  if (!authEnabled()) return next();
+  req.identity = identityFromRequest(req);
+  if (!req.identity) return res.status(401).json({ error: "Not signed in", code: "unauthorized" });
+  next();
+}
+
+// Express middleware for per-user data such as /api/conversations (after requireAuth). With auth
+// off nobody is signed in, so there is no one to scope it to and it stays closed.
+export function requireSignedIn(req, res, next) {
+  if (req.identity) return next();
+  res.status(403).json({ error: "Sign in to use this", code: "forbidden" });
+}
+
+// Operators: local accounts listed in ADMIN_USERS. With auth off, only a development server is open.
+export function isAdmin(identity) {
+  if (!authEnabled()) return process.env.NODE_ENV !== "production";
+  if (identity?.kind !== "local") return false;
+  const admins = (process.env.ADMIN_USERS || "").split(",").map((u) => u.trim()).filter(Boolean);
+  return admins.includes(identity.id);
+}
+
+// Express middleware for /api/admin (after requireAuth)
+export function requireAdmin(req, res, next) {
+  if (isAdmin(req.identity)) return next();
+  res.status(403).json({ error: "Admins only", code: "forbidden" });
+}
@@ -0,0 +1,166 @@
+// bots.js - persona registry: every bot (sales rep clone) this deployment hosts, loaded at startup
+// BOTS_FILE (default bots.json, see bots.example.json) holds { "default": "<slug>", "bots": [...] }.
+// Each bot: { slug, name, tagline?, avatar?, greeting?, voice_id?, accent?, inputs?,
+//             dify_api_key? | dify_api_key_env?, backend? }
+// Prefer dify_api_key_env (the name of an env var) so the file can be committed without secrets.
+// backend picks the LLM adapter (src/server/llm/): { type?, api_key? | api_key_env?, model?, base_url?,
+// system_prompt?, history_turns?, query_input?, answer_output? }; type defaults to LLM_BACKEND.
+// Without the file there is a single bot, the original Toby demo, using DIFY_API_KEY.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { backendType, createBackend } from "./llm/index.js";
+import { createLogger } from "./log.js";
+
+const log = createLogger("bots");
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const ACCENT_PATTERN = /^#[0-9a-f]{6}$/i;
+const DEFAULT_ACCENT = "#00C389";
+// Caps on the app inputs a client may send with a question
+const MAX_INPUT_KEYS = 32;
+const MAX_INPUT_KEY_LENGTH = 64;
+const MAX_INPUTS_BYTES = 16 * 1024;
+
+const BUILT_IN = {
+  default: "toby",
+  bots: [
+    {
+      slug: "toby",
+      name: "Toby Clone Bot",
+      tagline: "Voice demo of our sales knowledge base — ask anything and hear the answer in Toby's voice.",
+      avatar: "/toby.png",
+      voice_id: "top-sales-voice-001",
+      accent: DEFAULT_ACCENT,
+      inputs: { qa_dataset_id: "a034b9b4-9b64-40d2-b3c1-951281f84dc6" },
+      dify_api_key_env: "DIFY_API_KEY",
+    },
+  ],
+};
+
+// Check one config entry and resolve its Dify key; throws on anything that would break at runtime
+function normalizeBot(raw, index) {
+  const where = `bot #${index + 1}${raw?.slug ? ` ('${raw.slug}')` : ""}`;
+  if (!raw || typeof raw !== "object") throw new Error(`${where} must be an object`);
+  if (typeof raw.slug !== "string" || !SLUG_PATTERN.test(raw.slug)) {
+    throw new Error(`${where}: 'slug' must be lowercase letters, digits and dashes`);
+  }
+  if (typeof raw.name !== "string" || !raw.name.trim()) throw new Error(`${where}: 'name' is required`);
+  if (raw.accent !== undefined && !ACCENT_PATTERN.test(raw.accent)) throw new Error(`${where}: 'accent' must look like #00c389`);
+  if (raw.inputs !== undefined && (typeof raw.inputs !== "object" || Array.isArray(raw.inputs))) {
+    throw new Error(`${where}: 'inputs' must be an object`);
+  }
+
+  const backend = raw.backend ?? {};
+  if (typeof backend !== "object" || Array.isArray(backend)) throw new Error(`${where}: 'backend' must be an object`);
+  const type = backendType(backend.type);
+  const isDify = type.startsWith("dify-");
+  const keyEnv = backend.api_key_env || (isDify ? raw.dify_api_key_env || "DIFY_API_KEY" : type === "openai" ? "OPENAI_API_KEY" : "");
+  const apiKey = backend.api_key || (isDify && raw.dify_api_key) || (keyEnv && process.env[keyEnv]) || "";
+  if (!apiKey && isDify) log.warn("bot has no Dify API key; its chats will fail", { bot: where });
+  let adapter;
+  try {
+    adapter = createBackend({
+      type,
+      apiKey,
+      model: backend.model,
+      baseUrl: backend.base_url,
+      systemPrompt: backend.system_prompt,
+      historyTurns: backend.history_turns,
+      queryInput: backend.query_input,
+      answerOutput: backend.answer_output,
+    });
+  } catch (err) {
+    throw new Error(`${where}: ${err.message}`);
+  }
+  return {
+    slug: raw.slug,
+    name: raw.name.trim(),
+    tagline: raw.tagline || "",
+    avatar: raw.avatar || "/toby.png",
+    greeting: raw.greeting || "",
+    voice_id: raw.voice_id || "",
+    accent: raw.accent || DEFAULT_ACCENT,
+    inputs: raw.inputs || {},
+    apiKey,
+    backend: adapter,
+  };
+}
+
+function loadRegistry() {
+  const file = path.resolve(rootDir, process.env.BOTS_FILE || "bots.json");
+  let config = BUILT_IN;
+  let source = "built-in";
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf-8"));
+    source = file;
+  } catch (err) {
+    if (err.code !== "ENOENT" || process.env.BOTS_FILE) throw new Error(`[bots] could not read ${file}: ${err.message}`);
+  }
+
+  if (!Array.isArray(config.bots) || !config.bots.length) throw new Error(`[bots] ${source}: 'bots' must be a non-empty array`);
+  const bots = new Map();
+  config.bots.forEach((raw, i) => {
+    const bot = normalizeBot(raw, i);
+    if (bots.has(bot.slug)) throw new Error(`[bots] ${source}: duplicate slug '${bot.slug}'`);
+    bots.set(bot.slug, bot);
+  });
+  const defaultSlug = config.default || config.bots[0].slug;
+  if (!bots.has(defaultSlug)) throw new Error(`[bots] ${source}: default bot '${defaultSlug}' is not defined`);
+  return { source, bots, defaultSlug };
+}
+
+let registry = loadRegistry();
+
+// Re-read the config (admin console). A broken file throws and the current bots stay in place;
+// open sessions keep the bot they started with.
+export function reloadBots() {
+  registry = loadRegistry();
+  return listBots();
+}
+
+export function botsSource() {
+  return `${registry.source} (${[...registry.bots.keys()].join(", ")})`;
+}
+
+export function getBot(slug) {
+  return registry.bots.get(slug) || null;
+}
+
+export function defaultBot() {
+  return registry.bots.get(registry.defaultSlug);
+}
+
+// The requested bot, the default one when no slug is given, or null for an unknown slug
+export function resolveBot(slug) {
+  return slug ? getBot(slug) : defaultBot();
+}
+
+export function listBots() {
+  return [...registry.bots.values()];
+}
+
+// What the browser may see: no API key, no app inputs
+export function publicBot(bot) {
+  const { slug, name, tagline, avatar, greeting, voice_id, accent } = bot;
+  return { slug, name, tagline, avatar, greeting, voice_id, accent };
+}
+
+// App inputs for one question: the client's (from /api/chat or a voice `start`/`text`) over the
+// bot's defaults. Returns { inputs } or { error } for anything but a small plain object.
+export function toChatInputs(bot, inputs) {
+  if (inputs === undefined || inputs === null) return { inputs: { ...bot.inputs } };
+  if (typeof inputs !== "object" || Object.getPrototypeOf(inputs) !== Object.prototype) {
+    return { error: "'inputs' must be an object" };
+  }
+  const keys = Object.keys(inputs);
+  if (keys.length > MAX_INPUT_KEYS) return { error: `At most ${MAX_INPUT_KEYS} 'inputs' per question` };
+  if (keys.some((key) => key.length > MAX_INPUT_KEY_LENGTH)) {
+    return { error: `'inputs' names must be at most ${MAX_INPUT_KEY_LENGTH} characters` };
+  }
+  if (Buffer.byteLength(JSON.stringify(inputs)) > MAX_INPUTS_BYTES) {
+    return { error: `'inputs' must be at most ${MAX_INPUTS_BYTES / 1024} KB` };
+  }
+  return { inputs: { ...bot.inputs, ...inputs } };
+}
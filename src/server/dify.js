@@ -0,0 +1,184 @@
+// dify.js - helpers for calling the Dify API (chatflow / agent chat-messages and workflow runs)
+// The chat backends built on these live in src/server/llm/dify.js. Every call goes through
+// upstreamFetch (src/server/llm/resilience.js) for its timeout and retries; failed calls throw
+// UpstreamError.
+import { readSseEvents } from "../shared/sse.js";
+import { UpstreamError, upstreamFailure, upstreamFetch } from "./llm/resilience.js";
+
+// Normalize base URL: ensure NO trailing /v1 (we add it)
+export function difyBaseUrl() {
+  const rawBase = process.env.DIFY_BASE_URL || "https://agent.helport.ai";
+  return rawBase.replace(/\/v1\/?$/, "");
+}
+
+// files: Dify chat files ([{ type, transfer_method, upload_file_id }]), left out when empty
+export function buildChatBody({ query, inputs = {}, conversation_id, user, response_mode, files }) {
+  return {
+    query,
+    inputs,
+    conversation_id,
+    user: user || process.env.DIFY_DEFAULT_USER || "web",
+    response_mode: response_mode || "blocking",
+    ...(files?.length ? { files } : {}),
+  };
+}
+
+// POST /v1/chat-messages and return the raw fetch Response
+export async function postChatMessages(body, { apiKey = process.env.DIFY_API_KEY, signal } = {}) {
+  const url = `${difyBaseUrl()}/v1/chat-messages`; // Chatflow endpoint
+  return upstreamFetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+// POST /v1/files/upload; resolves with Dify's file record { id, name, size, extension, mime_type, ... }.
+// The file can then be attached to a chat message by the same user.
+export async function uploadFile(data, { name, mimeType, user }, { apiKey = process.env.DIFY_API_KEY } = {}) {
+  const form = new FormData();
+  form.append("file", new Blob([data], { type: mimeType }), name);
+  form.append("user", user || process.env.DIFY_DEFAULT_USER || "web");
+
+  const resp = await upstreamFetch(`${difyBaseUrl()}/v1/files/upload`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: form,
+  });
+  if (!resp.ok) throw await upstreamFailure(resp, "Dify upload");
+  return resp.json();
+}
+
+// POST /v1/workflows/run (workflow apps) and return the raw fetch Response
+export async function postWorkflowRun(body, { apiKey = process.env.DIFY_API_KEY, signal } = {}) {
+  return upstreamFetch(`${difyBaseUrl()}/v1/workflows/run`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+// Ask Dify to stop generating a streaming answer (task_id comes from the stream events)
+export async function stopChatMessage(taskId, user, { apiKey = process.env.DIFY_API_KEY } = {}) {
+  await postStop(`/v1/chat-messages/${encodeURIComponent(taskId)}/stop`, user, apiKey);
+}
+
+export async function stopWorkflowTask(taskId, user, { apiKey = process.env.DIFY_API_KEY } = {}) {
+  await postStop(`/v1/workflows/tasks/${encodeURIComponent(taskId)}/stop`, user, apiKey);
+}
+
+async function postStop(pathname, user, apiKey) {
+  const resp = await upstreamFetch(`${difyBaseUrl()}${pathname}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify({ user: user || process.env.DIFY_DEFAULT_USER || "web" }),
+  });
+  if (!resp.ok) throw await upstreamFailure(resp, "Dify stop");
+}
+
+// Rate an answer: rating is "like", "dislike" or null (clears it); content is an optional comment
+export async function sendMessageFeedback(messageId, { rating, user, content }, { apiKey = process.env.DIFY_API_KEY } = {}) {
+  const resp = await upstreamFetch(`${difyBaseUrl()}/v1/messages/${encodeURIComponent(messageId)}/feedbacks`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify({ rating, user: user || process.env.DIFY_DEFAULT_USER || "web", content: content || undefined }),
+  });
+  if (!resp.ok) throw await upstreamFailure(resp, "Dify feedback");
+}
+
+// Follow-up questions Dify suggests for an answer (the Dify app needs "suggested questions after
+// answer" turned on; when it is off Dify answers 400 and we resolve with [])
+export async function fetchSuggestedQuestions(messageId, user, { apiKey = process.env.DIFY_API_KEY, signal } = {}) {
+  const params = new URLSearchParams({ user: user || process.env.DIFY_DEFAULT_USER || "web" });
+  const resp = await upstreamFetch(`${difyBaseUrl()}/v1/messages/${encodeURIComponent(messageId)}/suggested?${params}`, {
+    headers: { Authorization: `Bearer ${apiKey}` },
+    signal,
+  });
+  if (resp.status === 400) return [];
+  if (!resp.ok) throw await upstreamFailure(resp, "Dify suggestions");
+  const json = await resp.json();
+  return Array.isArray(json?.data) ? json.data : [];
+}
+
+export function isEventStream(upstream) {
+  return (upstream.headers.get("content-type") || "").includes("text/event-stream");
+}
+
+// Knowledge-base sources behind an answer, from metadata.retriever_resources, in Dify's order:
+// [{ position, document_name, dataset_name, content, score, document_id, segment_id }]
+const CITATION_TEXT_LIMIT = 1200;
+
+export function normalizeCitations(metadata) {
+  const resources = Array.isArray(metadata?.retriever_resources) ? metadata.retriever_resources : [];
+  return resources
+    .filter((r) => r && (r.document_name || r.content))
+    .map((r, i) => ({
+      position: Number(r.position) || i + 1,
+      document_name: r.document_name || "Untitled document",
+      dataset_name: r.dataset_name || null,
+      content: String(r.content || "").slice(0, CITATION_TEXT_LIMIT),
+      score: typeof r.score === "number" ? Math.round(r.score * 1000) / 1000 : null,
+      document_id: r.document_id || null,
+      segment_id: r.segment_id || null,
+    }))
+    .sort((a, b) => a.position - b.position);
+}
+
+// Read a streaming chat-messages response, calling onEvent(payload) for each parsed Dify event.
+// message_end payloads get a normalized `citations` array added before onEvent sees them.
+// Resolves with the accumulated { answer, conversation_id, message_id, metadata, citations, error }.
+export async function readChatStream(upstream, onEvent = () => {}) {
+  const result = { answer: "", conversation_id: undefined, message_id: undefined, metadata: undefined, citations: [], error: undefined };
+
+  for await (const { data } of readSseEvents(upstream.body)) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      continue; // Dify only sends JSON data lines; ignore anything else
+    }
+
+    if (payload.conversation_id) result.conversation_id = payload.conversation_id;
+    if (payload.message_id) result.message_id = payload.message_id;
+    if (payload.event === "message" || payload.event === "agent_message") {
+      result.answer += payload.answer || "";
+    } else if (payload.event === "message_end") {
+      result.metadata = payload.metadata;
+      payload.citations = result.citations = normalizeCitations(payload.metadata);
+    } else if (payload.event === "error") {
+      result.error = payload;
+    }
+
+    onEvent(payload);
+    if (payload.event === "error") break;
+  }
+
+  return result;
+}
+
+// Run one streaming chat turn. Calls onEvent for every Dify event and resolves with
+// readChatStream's summary; throws if Dify rejects the request or reports an error.
+export async function streamChat(params, onEvent, { signal, apiKey = process.env.DIFY_API_KEY } = {}) {
+  if (!apiKey) throw new Error("Dify API key not set");
+
+  const upstream = await postChatMessages(buildChatBody({ ...params, response_mode: "streaming" }), { apiKey, signal });
+  if (!upstream.ok || !isEventStream(upstream)) throw await upstreamFailure(upstream, "Dify");
+
+  const result = await readChatStream(upstream, onEvent);
+  if (result.error) throw new UpstreamError(result.error.message || "Dify stream error", { status: result.error.status });
+  return result;
+}
@@ -0,0 +1,129 @@
+// llm/dify.js - Dify backends (API helpers in src/server/dify.js, base URL from DIFY_BASE_URL)
+//   dify-chat      chatflow / agent apps via chat-messages; Dify keeps the thread, cites its
+//                  knowledge base, suggests follow-ups and takes feedback
+//   dify-workflow  workflow apps via workflows/run; each question runs the workflow once, with the
+//                  question in the input named query_input and the answer read from the output
+//                  named answer_output
+//   DIFY_WORKFLOW_QUERY_INPUT    default query_input   ("query")
+//   DIFY_WORKFLOW_ANSWER_OUTPUT  default answer_output ("answer")
+import crypto from "crypto";
+import { readSseEvents } from "../../shared/sse.js";
+import {
+  fetchSuggestedQuestions,
+  isEventStream,
+  postWorkflowRun,
+  sendMessageFeedback,
+  stopChatMessage,
+  stopWorkflowTask,
+  streamChat,
+  uploadFile,
+} from "../dify.js";
+import { UpstreamError, upstreamFailure } from "./resilience.js";
+
+function requireKey(apiKey) {
+  if (!apiKey) throw new Error("Dify API key not set");
+}
+
+// Both app types take the same uploads
+function upload(apiKey) {
+  return async (data, { name, mimeType, user }) => {
+    requireKey(apiKey);
+    const file = await uploadFile(data, { name, mimeType, user }, { apiKey });
+    return { id: file.id, name: file.name || name, size: file.size ?? data.length };
+  };
+}
+
+export function createDifyChatBackend({ apiKey = process.env.DIFY_API_KEY } = {}) {
+  return {
+    name: "dify-chat",
+    async chat(params, { signal, onEvent = () => {} } = {}) {
+      requireKey(apiKey);
+      const result = await streamChat(
+        params,
+        (evt) => {
+          // Agent apps stream agent_message instead of message; errors are thrown by streamChat
+          if (evt.event === "agent_message") onEvent({ ...evt, event: "message" });
+          else if (evt.event === "message_end") onEvent({ ...evt, usage: evt.metadata?.usage || null });
+          else if (evt.event !== "error") onEvent(evt);
+        },
+        { signal, apiKey }
+      );
+      return {
+        answer: result.answer,
+        conversation_id: result.conversation_id,
+        message_id: result.message_id,
+        citations: result.citations,
+        usage: result.metadata?.usage || null,
+      };
+    },
+    stop: (taskId, user) => stopChatMessage(taskId, user, { apiKey }),
+    suggestions: (messageId, user, { signal } = {}) => fetchSuggestedQuestions(messageId, user, { apiKey, signal }),
+    feedback: (messageId, { rating, user, content }) => sendMessageFeedback(messageId, { rating, user, content }, { apiKey }),
+    upload: upload(apiKey),
+  };
+}
+
+export function createDifyWorkflowBackend({
+  apiKey = process.env.DIFY_API_KEY,
+  queryInput = process.env.DIFY_WORKFLOW_QUERY_INPUT || "query",
+  answerOutput = process.env.DIFY_WORKFLOW_ANSWER_OUTPUT || "answer",
+} = {}) {
+  return {
+    name: "dify-workflow",
+    async chat({ query, inputs = {}, conversation_id, user, files }, { signal, onEvent = () => {} } = {}) {
+      requireKey(apiKey);
+      const upstream = await postWorkflowRun(
+        {
+          inputs: { ...inputs, [queryInput]: query },
+          response_mode: "streaming",
+          user: user || process.env.DIFY_DEFAULT_USER || "web",
+          ...(files?.length ? { files } : {}),
+        },
+        { apiKey, signal }
+      );
+      if (!upstream.ok || !isEventStream(upstream)) throw await upstreamFailure(upstream, "Dify");
+
+      // Workflows keep no thread; our own id still groups the questions in the history
+      const conversationId = conversation_id || crypto.randomUUID();
+      let answer = "";
+      let messageId;
+      let finished = null;
+      for await (const { data } of readSseEvents(upstream.body)) {
+        let payload;
+        try {
+          payload = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        if (payload.workflow_run_id) messageId = payload.workflow_run_id;
+        const ids = { conversation_id: conversationId, message_id: messageId, task_id: payload.task_id };
+
+        if (payload.event === "text_chunk") {
+          const delta = payload.data?.text || "";
+          answer += delta;
+          onEvent({ event: "message", answer: delta, ...ids });
+        } else if (payload.event === "workflow_started" || payload.event === "node_finished") {
+          onEvent({ ...payload, ...ids });
+        } else if (payload.event === "workflow_finished") {
+          finished = payload.data || {};
+        } else if (payload.event === "error") {
+          throw new UpstreamError(payload.message || "Dify workflow error", { status: payload.status });
+        }
+      }
+
+      if (!finished) throw new UpstreamError("Dify workflow stream ended without a result");
+      if (finished.status && finished.status !== "succeeded") throw new UpstreamError(finished.error || `Dify workflow ${finished.status}`);
+      const output = finished.outputs?.[answerOutput];
+      if (typeof output === "string") {
+        // Workflows without a streaming answer node only deliver the output at the end
+        if (!answer && output) onEvent({ event: "message", answer: output, conversation_id: conversationId, message_id: messageId });
+        answer = output;
+      }
+      const usage = finished.total_tokens ? { total_tokens: finished.total_tokens } : null;
+      onEvent({ event: "message_end", conversation_id: conversationId, message_id: messageId, citations: [], usage });
+      return { answer, conversation_id: conversationId, message_id: messageId, citations: [], usage };
+    },
+    stop: (taskId, user) => stopWorkflowTask(taskId, user, { apiKey }),
+    upload: upload(apiKey),
+  };
+}
@@ -0,0 +1,76 @@
+// llm/index.js - chat backends behind /api/chat and the voice socket
+// Backends share one interface:
+//   { name, chat(params, { signal, onEvent }) -> Promise<{ answer, conversation_id, message_id, citations, usage }> }
+//   params: { query, inputs, conversation_id, user, files }
+//   onEvent(evt) sees the answer while it streams, as the SSE events /api/chat relays (STREAM_EVENTS):
+//     { event: "message", answer: <delta>, conversation_id, message_id, task_id? }
+//     { event: "message_end", conversation_id, message_id, citations, usage }
+//     plus Dify's workflow_started / node_finished progress events where the backend has them
+//   usage is { prompt_tokens?, completion_tokens?, total_tokens } or null; citations are shaped by
+//   normalizeCitations (src/server/dify.js), [] when the backend has none.
+// Optional extras, left out when a backend has no such thing:
+//   stop(taskId, user)                               stop generating server-side after an abort
+//   suggestions(messageId, user, { signal })         follow-up questions (see suggestFollowUps)
+//   feedback(messageId, { rating, user, content })   forward a thumbs up/down
+//   upload(data, { name, mimeType, user })           -> { id, name, size } for params.files
+// A bot's `backend` in bots.json picks the adapter and its options; LLM_BACKEND is the deployment
+// default (dify-chat). createBackend puts chat() behind the bot's own circuit breaker (`breaker`,
+// see resilience.js), so one bot's failing upstream does not take the others down.
+import { createDifyChatBackend, createDifyWorkflowBackend } from "./dify.js";
+import { createOpenAiBackend } from "./openai.js";
+import { createMockBackend } from "./mock.js";
+import { createBreaker } from "./resilience.js";
+import { createLogger } from "../log.js";
+
+const log = createLogger("llm");
+
+export const STREAM_EVENTS = new Set(["message", "message_end", "workflow_started", "node_finished", "workflow_finished"]);
+
+const adapters = {
+  "dify-chat": createDifyChatBackend,
+  "dify-workflow": createDifyWorkflowBackend,
+  openai: createOpenAiBackend,
+  mock: createMockBackend,
+};
+
+export function backendType(name) {
+  return name || process.env.LLM_BACKEND || "dify-chat";
+}
+
+export function createBackend({ type, ...options } = {}) {
+  const key = backendType(type);
+  const factory = adapters[key];
+  if (!factory) throw new Error(`Unknown LLM backend "${key}" (expected ${Object.keys(adapters).join(", ")})`);
+  const backend = factory(options);
+  const breaker = createBreaker();
+  return { ...backend, breaker, chat: (params, opts) => breaker.run(() => backend.chat(params, opts)) };
+}
+
+// Follow-up questions for an answer. Best effort: resolves with [] when SUGGESTED_QUESTIONS=off,
+// when the backend has none, on errors, or after SUGGESTED_QUESTIONS_TIMEOUT_MS.
+const SUGGESTIONS_ENABLED = process.env.SUGGESTED_QUESTIONS !== "off";
+const SUGGESTIONS_TIMEOUT_MS = Number(process.env.SUGGESTED_QUESTIONS_TIMEOUT_MS || 4000);
+const SUGGESTIONS_LIMIT = 3;
+
+export async function suggestFollowUps(backend, messageId, user, { signal } = {}) {
+  if (!SUGGESTIONS_ENABLED || !backend.suggestions || !messageId) return [];
+  // The caller's signal or the timeout, whichever comes first (no AbortSignal.any on Node 18)
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`No suggestions after ${SUGGESTIONS_TIMEOUT_MS} ms`)), SUGGESTIONS_TIMEOUT_MS);
+  const forwardAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) forwardAbort();
+  signal?.addEventListener("abort", forwardAbort, { once: true });
+  try {
+    const questions = await backend.suggestions(messageId, user, { signal: controller.signal });
+    return questions
+      .filter((q) => typeof q === "string" && q.trim())
+      .map((q) => q.trim())
+      .slice(0, SUGGESTIONS_LIMIT);
+  } catch (err) {
+    if (!signal?.aborted) log.warn("suggested questions failed", { backend: backend.name, err });
+    return [];
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", forwardAbort);
+  }
+}
@@ -0,0 +1,29 @@
+// llm/mock.js - offline backend for development and tests: streams back an echo of the question
+//   MOCK_LLM_DELAY_MS  pause between streamed words (default 20, 0 streams all at once)
+// Answers are deterministic ("You asked: <question>"); ids are fresh per call so feedback and
+// history behave as with a real backend. Uploads are accepted and forgotten.
+import crypto from "crypto";
+import { sleep } from "./resilience.js";
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+export function createMockBackend({ delayMs = Number(process.env.MOCK_LLM_DELAY_MS ?? 20) } = {}) {
+  return {
+    name: "mock",
+    async chat({ query, conversation_id, files }, { signal, onEvent = () => {} } = {}) {
+      const conversationId = conversation_id || crypto.randomUUID();
+      const messageId = crypto.randomUUID();
+      const answer = `You asked: "${query}"${files?.length ? ` (with ${files.length} file${files.length === 1 ? "" : "s"})` : ""}`;
+
+      for (const word of answer.match(/\S+\s*/g)) {
+        if (delayMs > 0) await sleep(delayMs, signal);
+        onEvent({ event: "message", answer: word, conversation_id: conversationId, message_id: messageId });
+      }
+      const usage = { prompt_tokens: countWords(query), completion_tokens: countWords(answer), total_tokens: countWords(query) + countWords(answer) };
+      onEvent({ event: "message_end", conversation_id: conversationId, message_id: messageId, citations: [], usage });
+      return { answer, conversation_id: conversationId, message_id: messageId, citations: [], usage };
+    },
+    suggestions: async () => ["Tell me more", "Can you give an example?"],
+    upload: async (data, { name }) => ({ id: crypto.randomUUID(), name, size: data.length }),
+  };
+}
@@ -0,0 +1,85 @@
+// llm/openai.js - backend for any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, Ollama, LiteLLM, ...)
+//   OPENAI_BASE_URL       API base including /v1 (default https://api.openai.com/v1)
+//   OPENAI_API_KEY        bearer token (optional for local servers)
+//   OPENAI_MODEL          model name (default gpt-4o-mini)
+//   OPENAI_SYSTEM_PROMPT  system message; {{name}} is replaced with the app input called name
+//   OPENAI_HISTORY_TURNS  earlier exchanges sent along with each question (default 10)
+// The endpoint keeps no threads: conversation ids are ours and the context comes from the
+// conversation history (src/server/store.js). No citations, follow-ups, feedback or uploads.
+import crypto from "crypto";
+import { readSseEvents } from "../../shared/sse.js";
+import { getConversation } from "../store.js";
+import { UpstreamError, upstreamFailure, upstreamFetch } from "./resilience.js";
+
+function fillTemplate(template, inputs) {
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, name) => (inputs[name] === undefined ? "" : String(inputs[name])));
+}
+
+export function createOpenAiBackend({
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+  systemPrompt = process.env.OPENAI_SYSTEM_PROMPT || "",
+  historyTurns = Number(process.env.OPENAI_HISTORY_TURNS ?? 10),
+} = {}) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  // System prompt, the last historyTurns exchanges of the thread, then the new question. Only the
+  // caller's own thread is replayed, whatever id the client sent.
+  function buildMessages({ query, inputs = {}, conversation_id, user }) {
+    const messages = [];
+    if (systemPrompt) messages.push({ role: "system", content: fillTemplate(systemPrompt, inputs) });
+    const convo = historyTurns > 0 ? getConversation(conversation_id) : null;
+    const turns = convo && convo.user === (user || null) ? convo.turns.slice(-historyTurns * 2) : [];
+    for (const turn of turns) messages.push({ role: turn.role, content: turn.text });
+    messages.push({ role: "user", content: query });
+    return messages;
+  }
+
+  return {
+    name: "openai",
+    async chat(params, { signal, onEvent = () => {} } = {}) {
+      const resp = await upstreamFetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: buildMessages(params),
+          stream: true,
+          stream_options: { include_usage: true },
+          user: params.user || undefined,
+        }),
+        signal,
+      });
+      if (!resp.ok) throw await upstreamFailure(resp, "Chat completions");
+
+      const conversationId = params.conversation_id || crypto.randomUUID();
+      let messageId = crypto.randomUUID();
+      let answer = "";
+      let usage = null;
+      for await (const { data } of readSseEvents(resp.body)) {
+        if (data === "[DONE]") break;
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        if (chunk.error) throw new UpstreamError(chunk.error.message || "Chat completions stream error");
+        if (chunk.id) messageId = chunk.id;
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          answer += delta;
+          onEvent({ event: "message", answer: delta, conversation_id: conversationId, message_id: messageId });
+        }
+      }
+
+      onEvent({ event: "message_end", conversation_id: conversationId, message_id: messageId, citations: [], usage });
+      return { answer, conversation_id: conversationId, message_id: messageId, citations: [], usage };
+    },
+  };
+}
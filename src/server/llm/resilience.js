@@ -0,0 +1,250 @@
+// llm/resilience.js - timeouts, retries and a circuit breaker for calls to the LLM upstreams
+// (upstreamFetch also carries the HTTP speech-to-text and text-to-speech calls)
+//   UPSTREAM_TIMEOUT_MS     longest silence from the upstream: until the response headers, then
+//                           between streamed chunks (default 30000)
+//   UPSTREAM_RETRIES        extra attempts after a network error, timeout, 429 or 5xx; only before
+//                           the response is used, so a half-streamed answer is never repeated (default 2)
+//   UPSTREAM_RETRY_BASE_MS  backoff before the first retry, doubled for each next one, with full
+//                           jitter; a Retry-After header wins when the upstream sends one (default 300)
+//   BREAKER_FAILURES        consecutive failed answers that open a bot's circuit (default 5, 0 = never)
+//   BREAKER_COOLDOWN_MS     how long an open circuit fails fast before one trial answer goes through (default 30000)
+// Failures the user should see are UpstreamErrors; describeFailure turns any error into the
+// friendly message and code the routes send instead of the raw error. Each call is noted on the
+// request's access-log line (src/server/log.js) as { call, status, ms, attempts, error? }, where ms
+// is the time to the response headers.
+import { ERROR_CODES } from "../../shared/protocol.js";
+import { createLogger, noteUpstream } from "../log.js";
+import { upstreamErrors, upstreamRequestDuration, upstreamRetries } from "../metrics.js";
+
+const log = createLogger("upstream");
+
+const TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS || 30000);
+const RETRIES = Number(process.env.UPSTREAM_RETRIES ?? 2);
+const RETRY_BASE_MS = Number(process.env.UPSTREAM_RETRY_BASE_MS || 300);
+const RETRY_AFTER_MAX_MS = 10000;
+const BREAKER_FAILURES = Number(process.env.BREAKER_FAILURES ?? 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 30000);
+
+// code: one of ERROR_CODES.UPSTREAM_*; status: the upstream's HTTP status when it answered;
+// retryAfter: seconds until an open circuit lets a call through
+export class UpstreamError extends Error {
+  constructor(message, { code = ERROR_CODES.UPSTREAM_ERROR, status, retryAfter } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Build the error for a response the caller cannot use (reads the body for the message)
+export async function upstreamFailure(resp, label) {
+  const text = await resp.text().catch(() => "");
+  return new UpstreamError(`${label} returned ${resp.status}: ${text.slice(0, 300)}`, { status: resp.status });
+}
+
+// Failures that say the upstream is down or overloaded, as opposed to a bad request or the
+// caller giving up; only these count against the circuit
+function isOutage(err) {
+  if (!(err instanceof UpstreamError) || err.code === ERROR_CODES.UPSTREAM_UNAVAILABLE) return false;
+  return !err.status || err.status === 429 || err.status >= 500;
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Resolves after ms, or rejects with the signal's reason if it aborts first; either way the abort
+// listener is removed, so a long-lived signal does not collect one per call
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function backoff(attempt, retryAfter, signal) {
+  const hinted = Number(retryAfter) * 1000;
+  const ms = hinted > 0 ? Math.min(hinted, RETRY_AFTER_MAX_MS) : Math.random() * RETRY_BASE_MS * 2 ** attempt;
+  return sleep(ms, signal);
+}
+
+// fetch() with the timeout and retries above. Resolves with the Response once it is worth using
+// (ok, a 4xx other than 429, or the last attempt's 429/5xx); a stalled body stream errors with an
+// upstream_timeout UpstreamError. Rejects with UpstreamError, or the signal's reason when the
+// caller aborts.
+export async function upstreamFetch(url, { signal, retries = RETRIES, ...init } = {}) {
+  const { host, pathname } = new URL(url);
+  const method = init.method || "GET";
+  // Metrics label: the path with ids (long segments containing digits) replaced
+  const operation = `${method} ${pathname.replace(/\/(?=[^/]*\d)[^/]{8,}/g, "/:id")}`;
+  const startedAt = Date.now();
+  const failed = (code) => {
+    if (code !== "aborted") upstreamErrors.inc({ host, operation, code });
+  };
+  const note = (fields) => {
+    const entry = { call: `${method} ${pathname}`, ...fields, ms: Date.now() - startedAt };
+    noteUpstream(entry);
+    upstreamRequestDuration.observe({ host, operation, status: entry.status ?? entry.error }, entry.ms / 1000);
+    if (entry.error) failed(entry.error);
+    log.debug("upstream call", { host, ...entry });
+    return entry;
+  };
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw signal.reason;
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", forwardAbort, { once: true });
+
+    let timer;
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(new UpstreamError(`No reply from ${host} for ${TIMEOUT_MS} ms`, { code: ERROR_CODES.UPSTREAM_TIMEOUT })), TIMEOUT_MS);
+      timer.unref?.();
+    };
+    const settle = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", forwardAbort);
+    };
+    // The caller's abort reason, our timeout, or a lost connection
+    const failureFor = (err, what) => {
+      if (signal?.aborted) return signal.reason;
+      if (controller.signal.reason instanceof UpstreamError) return controller.signal.reason;
+      return new UpstreamError(`${host} ${what}: ${err?.cause?.code || err?.message || err}`);
+    };
+
+    let resp;
+    arm();
+    try {
+      resp = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      settle();
+      const failure = failureFor(err, "unreachable");
+      if (signal?.aborted || attempt >= retries) {
+        note({ status: null, attempts: attempt + 1, error: signal?.aborted ? "aborted" : failure.code });
+        throw failure;
+      }
+      log.warn("upstream failed, retrying", { host, error: failure.message, attempt: attempt + 1, retries });
+      upstreamRetries.inc({ host, operation });
+      await backoff(attempt, null, signal);
+      continue;
+    }
+
+    if (isRetryableStatus(resp.status) && attempt < retries) {
+      settle();
+      resp.body?.cancel().catch(() => {});
+      log.warn("upstream failed, retrying", { host, status: resp.status, attempt: attempt + 1, retries });
+      upstreamRetries.inc({ host, operation });
+      await backoff(attempt, resp.headers.get("retry-after"), signal);
+      continue;
+    }
+    const entry = note({ status: resp.status, attempts: attempt + 1 });
+    // Out of retries: the caller turns this response into an upstream_error
+    if (isRetryableStatus(resp.status)) failed(ERROR_CODES.UPSTREAM_ERROR);
+    if (!resp.body) {
+      settle();
+      return resp;
+    }
+
+    // Keep watching while the body streams: every chunk restarts the clock
+    const reader = resp.body.getReader();
+    const body = new ReadableStream({
+      async pull(out) {
+        try {
+          const { done, value } = await reader.read();
+          if (done) {
+            settle();
+            out.close();
+          } else {
+            arm();
+            out.enqueue(value);
+          }
+        } catch (err) {
+          settle();
+          const failure = failureFor(err, "dropped the connection");
+          entry.error = signal?.aborted ? "aborted" : failure.code;
+          failed(entry.error);
+          out.error(failure);
+        }
+      },
+      cancel(reason) {
+        settle();
+        return reader.cancel(reason);
+      },
+    });
+    return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+  }
+}
+
+// Per-bot circuit breaker. After BREAKER_FAILURES outages in a row the circuit opens and run()
+// fails fast with upstream_unavailable; after BREAKER_COOLDOWN_MS one call is let through
+// (half-open) and its outcome closes or re-opens the circuit.
+export function createBreaker({ failures = BREAKER_FAILURES, cooldownMs = BREAKER_COOLDOWN_MS } = {}) {
+  let consecutive = 0;
+  let openedAt = 0;
+  let trialRunning = false;
+
+  const isOpen = () => failures > 0 && consecutive >= failures;
+
+  return {
+    async run(fn) {
+      let trial = false;
+      if (isOpen()) {
+        const waited = Date.now() - openedAt;
+        if (waited < cooldownMs || trialRunning) {
+          throw new UpstreamError("Circuit open after repeated upstream failures", {
+            code: ERROR_CODES.UPSTREAM_UNAVAILABLE,
+            retryAfter: Math.max(1, Math.ceil((cooldownMs - waited) / 1000)),
+          });
+        }
+        trial = trialRunning = true;
+      }
+      try {
+        const result = await fn();
+        consecutive = 0;
+        return result;
+      } catch (err) {
+        if (isOutage(err)) {
+          consecutive++;
+          if (isOpen()) openedAt = Date.now();
+        }
+        throw err;
+      } finally {
+        if (trial) trialRunning = false;
+      }
+    },
+
+    // { state: closed | open | half_open, failures, retry_at? } for the admin console
+    state() {
+      if (!isOpen()) return { state: "closed", failures: consecutive };
+      const retryAt = openedAt + cooldownMs;
+      return { state: trialRunning || Date.now() >= retryAt ? "half_open" : "open", failures: consecutive, retry_at: new Date(retryAt).toISOString() };
+    },
+  };
+}
+
+// What the user gets when an answer fails: { status, code, message, retry_after? }. The raw error
+// stays in the server log and the stats; the message names the bot and never leaks internals.
+export function describeFailure(err, botName = "The assistant") {
+  if (err?.code === ERROR_CODES.UPSTREAM_UNAVAILABLE) {
+    return {
+      status: 503,
+      code: err.code,
+      message: `${botName} is temporarily unavailable. Please try again in a minute.`,
+      retry_after: err.retryAfter,
+    };
+  }
+  if (err?.code === ERROR_CODES.UPSTREAM_TIMEOUT) {
+    return { status: 504, code: err.code, message: `${botName} is taking too long to answer. Please try again.` };
+  }
+  if (err instanceof UpstreamError) {
+    return { status: 502, code: err.code, message: `${botName} could not answer just now. Please try again.` };
+  }
+  return { status: 500, code: ERROR_CODES.CHAT_FAILED, message: "Something went wrong on our side. Please try again." };
+}
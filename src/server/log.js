@@ -0,0 +1,150 @@
+// log.js - structured logs: one JSON object per line (info and below on stdout, warn/error on stderr)
+//   LOG_LEVEL          debug | info | warn | error (default info)
+//   LOG_REDACT         how PII fields are written: mask (default, "[redacted]"), hash (a short sha256, so one
+//                      user or question can be followed across lines without being readable) or off
+//   LOG_REDACT_FIELDS  comma-separated field names treated as PII, matched case-insensitively at any depth;
+//                      replaces the default list below
+// Credentials (authorization, cookies, passwords, tokens, API keys) are always masked, whatever the settings.
+// A line is { time, level, component, msg, request_id | socket_id, ...fields }. Email addresses are
+// masked inside any string too (error messages echo them). Errors are written as { name, message,
+// code?, status?, stack? }.
+// Correlation: requestLogger gives every HTTP request an id (X-Request-Id) and voice.js gives every
+// socket one; runWithContext carries it through everything logged while handling them, and
+// noteUpstream adds each upstream call to the request's access-log line.
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+const REDACT_MODE = ["mask", "hash", "off"].includes(process.env.LOG_REDACT) ? process.env.LOG_REDACT : "mask";
+const DEFAULT_REDACT_FIELDS = "user,email,query,answer,text,comment,inputs";
+const REDACT_FIELDS = new Set(
+  (process.env.LOG_REDACT_FIELDS || DEFAULT_REDACT_FIELDS)
+    .split(",")
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean)
+);
+const SECRET_FIELDS = new Set(["authorization", "cookie", "set-cookie", "password", "token", "api_key", "apikey", "secret"]);
+const EMAIL_RE = /[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}/gi;
+const MAX_DEPTH = 6;
+
+function hashValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value) ?? String(value);
+  return `sha256:${crypto.createHash("sha256").update(text).digest("hex").slice(0, 12)}`;
+}
+
+function redactValue(value) {
+  if (value === undefined || value === null || value === "") return value;
+  return REDACT_MODE === "hash" ? hashValue(value) : "[redacted]";
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.status ? { status: err.status } : {}),
+    // Errors with a code are expected failures (upstream down, file missing); only bugs need the stack
+    ...(err.code ? {} : { stack: err.stack }),
+  };
+}
+
+// A copy of value that is safe to log: PII fields redacted, emails masked, errors flattened
+function scrub(value, depth = 0) {
+  if (typeof value === "string") return REDACT_MODE === "off" ? value : value.replace(EMAIL_RE, (m) => (REDACT_MODE === "hash" ? hashValue(m) : "[email]"));
+  if (value instanceof Error) return scrub(serializeError(value), depth);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[…]";
+  if (Array.isArray(value)) return value.map((v) => scrub(v, depth + 1));
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const name = key.toLowerCase();
+    if (SECRET_FIELDS.has(name)) out[key] = v ? "[redacted]" : v;
+    else if (REDACT_MODE !== "off" && REDACT_FIELDS.has(name)) out[key] = redactValue(v);
+    else out[key] = scrub(v, depth + 1);
+  }
+  return out;
+}
+
+// ----- Correlation context -----
+// { fields: { request_id } | { socket_id, session_id }, upstream: [] }
+const context = new AsyncLocalStorage();
+
+export function runWithContext(fields, fn) {
+  return context.run({ fields, upstream: [] }, fn);
+}
+
+// Record an upstream call (src/server/llm/resilience.js) on the current request or voice turn
+export function noteUpstream(call) {
+  context.getStore()?.upstream.push(call);
+}
+
+export function upstreamCalls() {
+  return context.getStore()?.upstream || [];
+}
+
+// ----- Loggers -----
+function write(level, component, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...context.getStore()?.fields,
+    ...scrub({ ...bindings, ...fields }),
+  };
+  let text;
+  try {
+    text = JSON.stringify(line);
+  } catch {
+    text = JSON.stringify({ time: line.time, level, component, msg, note: "fields could not be serialized" });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(text + "\n");
+}
+
+// createLogger("voice") -> { debug, info, warn, error, child }; each takes (msg, fields?).
+// child(fields) returns a logger that adds fields to every line.
+export function createLogger(component, bindings = {}) {
+  const logger = { child: (more) => createLogger(component, { ...bindings, ...more }) };
+  for (const level of Object.keys(LEVELS)) logger[level] = (msg, fields) => write(level, component, bindings, msg, fields);
+  return logger;
+}
+
+// ----- HTTP requests -----
+const httpLog = createLogger("http");
+const INCOMING_ID_RE = /^[\w.:-]{1,64}$/;
+
+// Express middleware: an id per request (the caller's X-Request-Id when it sent a sane one, so ids
+// line up with a proxy's logs), echoed in X-Request-Id, and one access-log line per /api request
+// once the response is done: method, path (without the query string), status, duration_ms,
+// aborted when the client went away first, the bot (res.locals.bot) and the upstream calls made.
+export function requestLogger(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && INCOMING_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+  const startedAt = process.hrtime.bigint();
+
+  runWithContext({ request_id: requestId }, () => {
+    const store = context.getStore();
+    if (req.path.startsWith("/api/")) {
+      res.once("close", () => {
+        const line = {
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          status: res.statusCode,
+          duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+          ...(res.writableFinished ? {} : { aborted: true }),
+          ...(res.locals.bot ? { bot: res.locals.bot } : {}),
+        };
+        // Written on the next turn, so an abort caused by the close has reached the upstream entries
+        setImmediate(() => {
+          if (store.upstream.length) line.upstream = store.upstream;
+          context.run(store, () => httpLog[line.status >= 500 ? "warn" : "info"]("request", line));
+        });
+      });
+    }
+    next();
+  });
+}
@@ -0,0 +1,146 @@
+// metrics.js - Prometheus metrics for GET /metrics (text exposition format 0.0.4)
+//   METRICS_TOKEN  when set, /metrics needs "Authorization: Bearer <token>"; open otherwise
+// A small in-process registry: counters, gauges and histograms with fixed label names. Every
+// metric the server exposes is declared at the bottom of this file (prefix hpai_) and updated
+// where the thing happens. Values live in memory and start from zero on every restart.
+const PREFIX = "hpai_";
+const registry = [];
+
+// Seconds; from a quick upstream call to a long streamed answer
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 80];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function register(type, name, help, labelNames) {
+  const metric = { type, name: PREFIX + name, help, labelNames, series: new Map() };
+  registry.push(metric);
+  // A metric without labels has exactly one series; show it as 0 from the start
+  if (type !== "histogram" && !labelNames.length) metric.series.set("", { values: [], value: 0 });
+  return metric;
+}
+
+// The series for a label set, created on first use; labels missing from `labels` are ""
+function seriesFor(metric, labels, init) {
+  const values = metric.labelNames.map((name) => (labels[name] === undefined || labels[name] === null ? "" : String(labels[name])));
+  const key = values.join("\u0000");
+  let series = metric.series.get(key);
+  if (!series) {
+    series = { values, ...init() };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+export function counter(name, help, labelNames = []) {
+  const metric = register("counter", name, help, labelNames);
+  return {
+    inc(labels = {}, by = 1) {
+      seriesFor(metric, labels, () => ({ value: 0 })).value += by;
+    },
+  };
+}
+
+export function gauge(name, help, labelNames = []) {
+  const metric = register("gauge", name, help, labelNames);
+  const at = (labels) => seriesFor(metric, labels, () => ({ value: 0 }));
+  return {
+    set(labels = {}, value) {
+      at(labels).value = value;
+    },
+    inc(labels = {}, by = 1) {
+      at(labels).value += by;
+    },
+    dec(labels = {}, by = 1) {
+      at(labels).value -= by;
+    },
+  };
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const metric = register("histogram", name, help, labelNames);
+  metric.buckets = buckets;
+  const observe = (labels, value) => {
+    const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  };
+  return {
+    observe: (labels = {}, value) => observe(labels, value),
+    // Time something: call the returned function when it is done, with any labels only known then
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (more = {}) => observe({ ...labels, ...more }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    },
+  };
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${series.value}`);
+        continue;
+      }
+      // observe() counts a value in every bucket it fits, so the counts are already cumulative
+      metric.buckets.forEach((le, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, `le="${le}"`)} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Express handler for GET /metrics
+export function serveMetrics(req, res) {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) return res.status(401).type("text/plain").send("Unauthorized");
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+}
+
+// ----- The server's metrics -----
+// Operations are upstream URL paths with ids replaced, e.g. "POST /v1/messages/:id/suggested"
+
+export const chatRequestDuration = histogram(
+  "chat_request_duration_seconds",
+  "Time from receiving an /api/chat request to the end of its response, by bot, response mode and HTTP status (aborted when the client left first)",
+  ["bot", "mode", "status"]
+);
+export const upstreamRequestDuration = histogram(
+  "upstream_request_duration_seconds",
+  "Time until a Dify / LLM upstream answered with response headers, including retries, by host, operation and HTTP status (error when none came)",
+  ["host", "operation", "status"]
+);
+export const upstreamErrors = counter(
+  "upstream_errors_total",
+  "Upstream calls that failed after retries, including streams cut off part way, by host, operation and error code",
+  ["host", "operation", "code"]
+);
+export const upstreamRetries = counter("upstream_retries_total", "Upstream calls retried after a network error, timeout, 429 or 5xx", ["host", "operation"]);
+export const circuitOpen = gauge("upstream_circuit_open", "1 while a bot's circuit breaker is open or half-open, else 0", ["bot"]);
+export const voiceSocketsActive = gauge("voice_sockets_active", "Open /api/voicechat WebSocket connections");
+export const voiceSessionsActive = gauge("voice_sessions_active", "Voice sessions, including ones waiting out their reconnect grace period");
+export const audioReceivedBytes = counter("voice_audio_received_bytes_total", "Recorded audio received over voice sockets, by bot", ["bot"]);
+export const transcriptsProduced = counter("stt_transcripts_total", "Non-empty transcripts produced, by speech-to-text provider and kind (partial or final)", ["provider", "kind"]);
+export const ttsDuration = histogram(
+  "tts_synthesis_duration_seconds",
+  "Time to synthesize one sentence of an answer, by text-to-speech provider and outcome (ok, error, aborted)",
+  ["provider", "outcome"],
+  [0.1, 0.25, 0.5, 1, 2, 4, 8, 16]
+);
+export const rateLimitRejections = counter("rate_limit_rejections_total", "Requests, turns and sessions refused by a rate limit, by reason", ["reason"]);
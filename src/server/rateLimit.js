@@ -0,0 +1,164 @@
+// rateLimit.js - per user/IP limits for the chat proxy and the voice socket
+//   RATE_LIMIT_RPM             chat turns (HTTP or socket) per rolling minute   (default 20)
+//   RATE_LIMIT_VOICE_SESSIONS  concurrent voice sessions                        (default 2)
+//   RATE_LIMIT_AUDIO_SECONDS   recorded audio per voice session                 (default 600)
+//   RATE_LIMIT_AUDIO_MB        recorded audio per voice session, in megabytes   (default 50)
+//   RATE_LIMIT_DAILY_TOKENS    LLM tokens per UTC day                           (default 200000)
+//   RATE_LIMIT_STORE_FILE      optional JSON file so daily token counts survive restarts
+// Any limit set to 0 is disabled. Everything else is kept in memory.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "./log.js";
+import { rateLimitRejections } from "./metrics.js";
+
+const log = createLogger("ratelimit");
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export const LIMITS = {
+  requestsPerMinute: Number(process.env.RATE_LIMIT_RPM ?? 20),
+  voiceSessions: Number(process.env.RATE_LIMIT_VOICE_SESSIONS ?? 2),
+  audioSecondsPerSession: Number(process.env.RATE_LIMIT_AUDIO_SECONDS ?? 600),
+  audioBytesPerSession: Number(process.env.RATE_LIMIT_AUDIO_MB ?? 50) * 1024 * 1024,
+  dailyTokens: Number(process.env.RATE_LIMIT_DAILY_TOKENS ?? 200000),
+};
+
+const storeFile = process.env.RATE_LIMIT_STORE_FILE ? path.resolve(rootDir, process.env.RATE_LIMIT_STORE_FILE) : null;
+const requestLog = new Map(); // key -> timestamps within the last minute
+const voiceSessions = new Map(); // key -> open session count
+let tokens = loadTokens(); // { day: "YYYY-MM-DD", used: { key: n } }
+let saveTimer = null;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+}
+
+function loadTokens() {
+  if (storeFile) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(storeFile, "utf-8"));
+      if (saved.day === today()) return saved;
+    } catch (err) {
+      if (err.code !== "ENOENT") log.error("could not read saved token counts", { file: storeFile, err });
+    }
+  }
+  return { day: today(), used: {} };
+}
+
+function scheduleSave() {
+  if (!storeFile || saveTimer) return;
+  saveTimer = setTimeout(flushRateLimits, 1000);
+}
+
+// Write pending token counts now (also called on shutdown)
+export function flushRateLimits() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!storeFile) return;
+  try {
+    fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+    fs.writeFileSync(storeFile, JSON.stringify(tokens));
+  } catch (err) {
+    log.error("save failed", { err });
+  }
+}
+
+function tokenLedger() {
+  if (tokens.day !== today()) tokens = { day: today(), used: {} };
+  return tokens.used;
+}
+
+// Limits are per signed-in user, else per client IP. Express sets req.ip (honouring TRUST_PROXY);
+// socket upgrades are raw requests, so take the address our proxy appended to X-Forwarded-For.
+export function clientKey(req) {
+  if (req.identity) return `user:${req.identity.id}`;
+  if (req.ip) return `ip:${req.ip}`;
+  const forwarded = process.env.TRUST_PROXY ? req.headers["x-forwarded-for"]?.split(",").pop().trim() : null;
+  return `ip:${forwarded || req.socket?.remoteAddress || "unknown"}`;
+}
+
+// A limit hit, shaped like the `rate_limited` socket event (minus type); null means "go ahead"
+function limited(reason, retryAfter, message) {
+  rateLimitRejections.inc({ reason });
+  return { reason, retry_after: retryAfter, message };
+}
+
+// Count one chat turn against the per-minute window and check the daily token budget
+export function takeChatTurn(key) {
+  if (LIMITS.dailyTokens > 0 && (tokenLedger()[key] || 0) >= LIMITS.dailyTokens) {
+    return limited("daily_tokens", secondsUntilUtcMidnight(), "Daily usage limit reached, please come back tomorrow");
+  }
+  if (LIMITS.requestsPerMinute > 0) {
+    const now = Date.now();
+    const recent = (requestLog.get(key) || []).filter((t) => now - t < 60000);
+    if (recent.length >= LIMITS.requestsPerMinute) {
+      requestLog.set(key, recent);
+      return limited("requests_per_minute", Math.ceil((recent[0] + 60000 - now) / 1000), "Too many requests, please slow down");
+    }
+    recent.push(now);
+    requestLog.set(key, recent);
+  }
+  return null;
+}
+
+// Record the tokens a finished answer cost (the backend's normalized usage, see src/server/llm/)
+export function addTokens(key, usage) {
+  const used = Number(usage?.total_tokens);
+  if (!used) return;
+  const ledger = tokenLedger();
+  ledger[key] = (ledger[key] || 0) + used;
+  scheduleSave();
+}
+
+// Reserve a concurrent voice session slot: { release } (call when the session ends) or { limit }
+export function acquireVoiceSession(key) {
+  const open = voiceSessions.get(key) || 0;
+  if (LIMITS.voiceSessions > 0 && open >= LIMITS.voiceSessions) {
+    return { limit: limited("voice_sessions", 30, "Too many voice sessions open, close another tab and try again") };
+  }
+  voiceSessions.set(key, open + 1);
+  let released = false;
+  return {
+    release() {
+      if (released) return;
+      released = true;
+      const left = (voiceSessions.get(key) || 1) - 1;
+      if (left > 0) voiceSessions.set(key, left);
+      else voiceSessions.delete(key);
+    },
+  };
+}
+
+// Has a voice session recorded more audio than allowed (time, or bytes held in memory)? Returns
+// the limit hit, or null
+export function checkAudioBudget(recordedMs, recordedBytes = 0) {
+  if (LIMITS.audioSecondsPerSession > 0 && recordedMs >= LIMITS.audioSecondsPerSession * 1000) {
+    return limited("audio_seconds", 0, `Voice limit of ${LIMITS.audioSecondsPerSession}s per session reached, start a new conversation to keep talking`);
+  }
+  if (LIMITS.audioBytesPerSession > 0 && recordedBytes >= LIMITS.audioBytesPerSession) {
+    return limited("audio_bytes", 0, "Voice limit for this session reached, start a new conversation to keep talking");
+  }
+  return null;
+}
+
+// Drop idle per-minute windows so the map does not grow with every visitor
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, times] of requestLog) {
+    if (!times.length || now - times[times.length - 1] >= 60000) requestLog.delete(key);
+  }
+}, 60000).unref();
+
+// Express middleware: counts the request as a turn, 429 + Retry-After when over a limit
+export function rateLimitRequests(req, res, next) {
+  const limit = takeChatTurn(clientKey(req));
+  if (!limit) return next();
+  res.set("Retry-After", String(limit.retry_after));
+  res.status(429).json({ error: limit.message, code: "rate_limited", reason: limit.reason, retry_after: limit.retry_after });
+}
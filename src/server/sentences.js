@@ -0,0 +1,49 @@
+// sentences.js - split a streaming answer into speakable sentences for chunked TTS
+
+// Sentence end: . ! ? (optionally followed by quotes/brackets) then whitespace, or a line break
+const BOUNDARY = /[.!?]+["')\]]*\s+|\n+/;
+
+// Strip Markdown markers the synthesizer would otherwise read out loud
+export function speakableText(text) {
+  return text
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s*(?:[-*+]|\d+[.)]|#{1,6})\s+/gm, "")
+    .replace(/[*_`~|>#]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// push(delta) returns the sentences completed by that delta; flush() returns whatever is left.
+// Fragments shorter than minChars are held back and merged with the next sentence.
+export function createSentenceSplitter({ minChars = 20 } = {}) {
+  const boundary = new RegExp(BOUNDARY.source, "g");
+  let buffer = "";
+
+  function take(end) {
+    const sentence = speakableText(buffer.slice(0, end));
+    buffer = buffer.slice(end);
+    return sentence;
+  }
+
+  return {
+    push(delta) {
+      buffer += delta;
+      const out = [];
+      boundary.lastIndex = 0;
+      let match;
+      while ((match = boundary.exec(buffer))) {
+        const end = match.index + match[0].length;
+        if (speakableText(buffer.slice(0, end)).length < minChars) continue;
+        const sentence = take(end);
+        if (sentence) out.push(sentence);
+        boundary.lastIndex = 0;
+      }
+      return out;
+    },
+    flush() {
+      const rest = take(buffer.length);
+      return rest || null;
+    },
+  };
+}
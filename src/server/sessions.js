@@ -0,0 +1,73 @@
+// sessions.js - voice sessions that outlive their WebSocket for a grace period
+// Every server event is stamped with an increasing `event_seq` and kept in a bounded log, so a
+// client that reconnects with ?session_id=...&last_seq=... gets what it missed, in order.
+import crypto from "crypto";
+import { CLOSE_CODES } from "../shared/protocol.js";
+
+const GRACE_MS = Number(process.env.VOICE_SESSION_GRACE_MS || 60000);
+const REPLAY_LIMIT = Number(process.env.VOICE_REPLAY_LIMIT || 500);
+
+const sessions = new Map(); // id -> session
+
+export function findSession(id) {
+  return (id && sessions.get(id)) || null;
+}
+
+export function listSessions() {
+  return [...sessions.values()];
+}
+
+// onExpire runs once the session is gone for good (grace period over or close() called)
+export function createSession({ onExpire } = {}) {
+  const session = {
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+    ws: null,
+    lastSeq: 0,
+    log: [], // [{ event_seq, ...msg }]
+    expiryTimer: null,
+
+    // Stamp, remember and (if a socket is attached) deliver one event
+    send(msg) {
+      const event = { ...msg, event_seq: ++session.lastSeq };
+      session.log.push(event);
+      if (session.log.length > REPLAY_LIMIT) session.log.shift();
+      deliver(session.ws, event);
+    },
+
+    // Bind a (re)connected socket: greet it, then replay events after lastSeenSeq
+    attach(ws, hello, lastSeenSeq = 0) {
+      clearTimeout(session.expiryTimer);
+      session.expiryTimer = null;
+      if (session.ws && session.ws !== ws) session.ws.close(CLOSE_CODES.REPLACED, "replaced by a newer connection");
+      session.ws = ws;
+
+      deliver(ws, { ...hello, session_id: session.id, last_seq: session.lastSeq });
+      for (const event of session.log) {
+        if (event.event_seq > lastSeenSeq) deliver(ws, event);
+      }
+    },
+
+    // Socket went away: keep state (and in-flight work) alive for GRACE_MS
+    detach(ws) {
+      if (session.ws !== ws) return;
+      session.ws = null;
+      session.expiryTimer = setTimeout(() => session.close(), GRACE_MS);
+    },
+
+    close(code = 1000, reason = "session closed") {
+      clearTimeout(session.expiryTimer);
+      if (!sessions.delete(session.id)) return;
+      session.ws?.close(code, reason);
+      session.ws = null;
+      onExpire?.();
+    },
+  };
+
+  sessions.set(session.id, session);
+  return session;
+}
+
+function deliver(ws, event) {
+  if (ws && ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+}
@@ -0,0 +1,51 @@
+// stats.js - per-bot turn, error and latency counters for the admin console
+// Kept in memory since the server started. Latency is question -> final answer, over the last
+// LATENCY_WINDOW turns of each bot.
+const LATENCY_WINDOW = 200;
+
+const bots = new Map(); // slug -> counters
+
+function countersFor(slug) {
+  let c = bots.get(slug);
+  if (!c) {
+    c = { turns: 0, byMode: {}, errors: 0, errorsByKind: {}, latencies: [], lastError: null };
+    bots.set(slug, c);
+  }
+  return c;
+}
+
+// One answered turn; mode is "voice" | "text"
+export function recordTurn(slug, { mode, latencyMs }) {
+  const c = countersFor(slug);
+  c.turns++;
+  c.byMode[mode] = (c.byMode[mode] || 0) + 1;
+  c.latencies.push(latencyMs);
+  if (c.latencies.length > LATENCY_WINDOW) c.latencies.shift();
+}
+
+// One failure; kind is what broke: "chat" (Dify), "upload" (Dify files), "stt" or "tts"
+export function recordError(slug, kind, message) {
+  const c = countersFor(slug);
+  c.errors++;
+  c.errorsByKind[kind] = (c.errorsByKind[kind] || 0) + 1;
+  c.lastError = { kind, message: String(message).slice(0, 300), at: new Date().toISOString() };
+}
+
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+export function botStats(slug) {
+  const c = countersFor(slug);
+  const sorted = [...c.latencies].sort((a, b) => a - b);
+  const avg = sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null;
+  return {
+    turns: c.turns,
+    turns_by_mode: { ...c.byMode },
+    errors: c.errors,
+    errors_by_kind: { ...c.errorsByKind },
+    last_error: c.lastError,
+    latency_ms: { avg, p50: percentile(sorted, 50), p95: percentile(sorted, 95), max: sorted.length ? sorted[sorted.length - 1] : null },
+  };
+}
@@ -0,0 +1,267 @@
+// store.js - conversation history for /api/chat and /api/voicechat
+// Conversations are keyed by their Dify conversation_id; each exchange appends a user turn and an
+// assistant turn with timestamps, mode ("voice" | "text") and Dify ids. `bot` is the persona slug.
+// Assistant turns keep the answer's `citations` (see normalizeCitations in dify.js) and may carry `feedback` ({ rating: "like" | "dislike", comment, at }) from /api/feedback.
+// Questions that got no answer (timeout, open circuit, upstream error) are kept apart in `failures`
+// with their error code, for analytics only; the newest MAX_FAILED_TURNS are kept.
+//   CONVERSATION_STORE       "file" (default) or "memory"
+//   CONVERSATION_STORE_FILE  JSON file for the file backend (default data/conversations.json)
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "./log.js";
+
+const log = createLogger("store");
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const SAVE_DELAY_MS = 500;
+const TITLE_LENGTH = 60;
+const MAX_FAILED_TURNS = 10000;
+// Dify and the other backends hand out UUIDs; anything else a client sends is refused
+const CONVERSATION_ID_PATTERN = /^[\w-]{1,64}$/;
+
+function createMemoryBackend() {
+  return { name: "memory", load: () => ({ conversations: {} }), save() {} };
+}
+
+// Whole-file JSON backend; writes go to a temp file first so a crash never leaves half a file
+function createFileBackend(file) {
+  return {
+    name: `file (${file})`,
+    load() {
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf-8"));
+      } catch (err) {
+        if (err.code !== "ENOENT") log.error("could not read the store, starting empty", { file, err });
+        return { conversations: {} };
+      }
+    },
+    save(data) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+function createBackend() {
+  if (process.env.CONVERSATION_STORE === "memory") return createMemoryBackend();
+  return createFileBackend(path.resolve(rootDir, process.env.CONVERSATION_STORE_FILE || "data/conversations.json"));
+}
+
+const backend = createBackend();
+const data = backend.load();
+// Indexed by ids clients send: without a prototype, "__proto__" or "constructor" is just a missing key
+data.conversations = Object.assign(Object.create(null), data.conversations);
+data.failures = Array.isArray(data.failures) ? data.failures : [];
+let saveTimer = null;
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      backend.save(data);
+    } catch (err) {
+      log.error("save failed", { err });
+    }
+  }, SAVE_DELAY_MS);
+}
+
+export function storeName() {
+  return backend.name;
+}
+
+export function isConversationId(id) {
+  return typeof id === "string" && CONVERSATION_ID_PATTERN.test(id);
+}
+
+// Whether `user` may continue thread `id` with `bot`. Ids we never recorded are fine (a new thread,
+// or one the backend scopes per user itself); another user's or another bot's thread is not.
+export function canContinueConversation(id, { user, bot }) {
+  const convo = data.conversations[id];
+  return !convo || (convo.user === (user || null) && (!convo.bot || convo.bot === (bot || null)));
+}
+
+// Record one question/answer pair. Skipped when Dify gave us no (usable) conversation id, or one
+// that belongs to someone else.
+export function recordExchange({ conversationId, user, bot, mode, query, answer, messageId, citations, startedAt, finishedAt = Date.now() }) {
+  if (!isConversationId(conversationId)) return null;
+  if (!canContinueConversation(conversationId, { user, bot })) {
+    log.warn("not recording a turn into another user's conversation", { conversationId, user, bot });
+    return null;
+  }
+
+  let convo = data.conversations[conversationId];
+  if (!convo) {
+    convo = data.conversations[conversationId] = {
+      id: conversationId,
+      title: query.length > TITLE_LENGTH ? `${query.slice(0, TITLE_LENGTH - 1)}…` : query,
+      user: user || null,
+      bot: bot || null,
+      modes: [],
+      created_at: new Date(startedAt).toISOString(),
+      updated_at: null,
+      turns: [],
+    };
+  }
+  if (!convo.modes.includes(mode)) convo.modes.push(mode);
+
+  convo.turns.push(
+    { role: "user", text: query, mode, at: new Date(startedAt).toISOString() },
+    {
+      role: "assistant",
+      text: answer,
+      mode,
+      at: new Date(finishedAt).toISOString(),
+      message_id: messageId || null,
+      latency_ms: finishedAt - startedAt,
+      ...(citations?.length && { citations }),
+    }
+  );
+  convo.updated_at = new Date(finishedAt).toISOString();
+  scheduleSave();
+  return convo;
+}
+
+// Record a question the backend failed to answer; `code` is the error code the user got
+export function recordFailedTurn({ conversationId, user, bot, mode, query, code, startedAt }) {
+  const owned = isConversationId(conversationId) && canContinueConversation(conversationId, { user, bot });
+  data.failures.push({
+    conversation_id: owned ? conversationId : null,
+    user: user || null,
+    bot: bot || null,
+    mode,
+    question: query,
+    error: code,
+    asked_at: new Date(startedAt).toISOString(),
+  });
+  if (data.failures.length > MAX_FAILED_TURNS) data.failures.splice(0, data.failures.length - MAX_FAILED_TURNS);
+  scheduleSave();
+}
+
+function summarize(convo) {
+  const last = convo.turns[convo.turns.length - 1];
+  return {
+    id: convo.id,
+    title: convo.title,
+    user: convo.user,
+    bot: convo.bot || null,
+    mode: convo.modes.length > 1 ? "mixed" : convo.modes[0],
+    created_at: convo.created_at,
+    updated_at: convo.updated_at,
+    turn_count: convo.turns.length,
+    preview: last ? last.text.slice(0, 120) : "",
+  };
+}
+
+// Newest first; optionally only one user's and/or one bot's conversations
+export function listConversations({ user, bot } = {}) {
+  return Object.values(data.conversations)
+    .filter((c) => (!user || c.user === user) && (!bot || c.bot === bot))
+    .sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1))
+    .map(summarize);
+}
+
+export function getConversation(id) {
+  const convo = data.conversations[id];
+  return convo ? { ...summarize(convo), turns: convo.turns } : null;
+}
+
+// Write pending changes now (used on shutdown)
+export function flushStore() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  backend.save(data);
+}
+
+// Find the conversation and assistant turn for a Dify message id
+export function findAnswer(messageId) {
+  if (!messageId) return null;
+  for (const convo of Object.values(data.conversations)) {
+    const index = convo.turns.findIndex((t) => t.role === "assistant" && t.message_id === messageId);
+    if (index >= 0) return { convo, turn: convo.turns[index], question: convo.turns[index - 1] };
+  }
+  return null;
+}
+
+// Set (or with rating null, clear) the feedback on an answer; returns false if we never saw it
+export function recordFeedback(messageId, { rating, comment }) {
+  const found = findAnswer(messageId);
+  if (!found) return false;
+  if (rating) found.turn.feedback = { rating, comment: comment || "", at: new Date().toISOString() };
+  else delete found.turn.feedback;
+  scheduleSave();
+  return true;
+}
+
+// Rated answers with the question that led to them, newest first
+export function listFeedback({ bot, rating } = {}) {
+  const out = [];
+  for (const convo of Object.values(data.conversations)) {
+    if (bot && convo.bot !== bot) continue;
+    convo.turns.forEach((turn, i) => {
+      if (!turn.feedback || (rating && turn.feedback.rating !== rating)) return;
+      out.push({
+        conversation_id: convo.id,
+        message_id: turn.message_id,
+        bot: convo.bot || null,
+        user: convo.user,
+        question: convo.turns[i - 1]?.text || "",
+        answer: turn.text,
+        ...turn.feedback,
+      });
+    });
+  }
+  return out.sort((a, b) => (a.at < b.at ? 1 : -1));
+}
+
+// Every question/answer pair asked since `since` (a Date), oldest conversations first, then the
+// failed turns (empty answer, `error` set to their code); for analytics.js
+export function listExchanges({ bot, since } = {}) {
+  const from = since ? since.toISOString() : "";
+  const out = [];
+  for (const convo of Object.values(data.conversations)) {
+    if (bot && convo.bot !== bot) continue;
+    convo.turns.forEach((turn, i) => {
+      const question = convo.turns[i - 1];
+      if (turn.role !== "assistant" || question?.role !== "user" || question.at < from) return;
+      out.push({
+        conversation_id: convo.id,
+        message_id: turn.message_id,
+        bot: convo.bot || null,
+        user: convo.user,
+        mode: turn.mode,
+        question: question.text,
+        answer: turn.text,
+        asked_at: question.at,
+        latency_ms: turn.latency_ms,
+        citations: turn.citations?.length || 0,
+        feedback: turn.feedback || null,
+        error: null,
+      });
+    });
+  }
+  for (const failure of data.failures) {
+    if ((bot && failure.bot !== bot) || failure.asked_at < from) continue;
+    out.push({ ...failure, message_id: null, answer: "", latency_ms: null, citations: 0, feedback: null });
+  }
+  return out;
+}
+
+export function renameConversation(id, title) {
+  const convo = data.conversations[id];
+  if (!convo) return null;
+  convo.title = title;
+  scheduleSave();
+  return summarize(convo);
+}
+
+export function deleteConversation(id) {
+  if (!data.conversations[id]) return false;
+  delete data.conversations[id];
+  scheduleSave();
+  return true;
+}
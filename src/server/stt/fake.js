@@ -0,0 +1,37 @@
+// stt/fake.js - deterministic recognizer that reads its transcripts from a text file
+// Each utterance takes the next non-empty line (wrapping around); partial transcripts reveal
+// one word per STT_FAKE_BYTES_PER_WORD bytes of audio received. Handy for tests and offline demos.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), "fake-transcripts.txt");
+
+export function createFakeRecognizer({
+  file = process.env.STT_FAKE_FILE || defaultFile,
+  bytesPerWord = Number(process.env.STT_FAKE_BYTES_PER_WORD || 2000),
+} = {}) {
+  const lines = fs
+    .readFileSync(file, "utf-8")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+  if (!lines.length) throw new Error(`[stt] fake transcript file ${file} is empty`);
+
+  let cursor = 0;
+  const assigned = new Map(); // utteranceId -> transcript
+
+  return {
+    name: "fake",
+    async transcribe(audio, { final, utteranceId }) {
+      if (!assigned.has(utteranceId)) assigned.set(utteranceId, lines[cursor++ % lines.length]);
+      const text = assigned.get(utteranceId);
+      if (final) {
+        assigned.delete(utteranceId);
+        return text;
+      }
+      const words = text.split(/\s+/);
+      return words.slice(0, Math.max(1, Math.ceil(audio.length / bytesPerWord))).join(" ");
+    },
+  };
+}
@@ -0,0 +1,50 @@
+// stt/http.js - recognizer backed by an HTTP speech-to-text endpoint
+//   STT_HTTP_URL      endpoint to POST audio to (required)
+//   STT_HTTP_API_KEY  optional bearer token
+//   STT_HTTP_FORMAT   "raw" (default): audio as the request body with its mime type
+//                     "multipart": OpenAI-style form with `file` (+ `model` from STT_HTTP_MODEL)
+//   STT_HTTP_PARTIALS set to "1" to also call the endpoint for partial transcripts
+// The endpoint must answer JSON with `text` (or `transcript`). Calls get the UPSTREAM_TIMEOUT_MS
+// timeout and UPSTREAM_RETRIES of src/server/llm/resilience.js; partial transcripts are not retried.
+import { upstreamFailure, upstreamFetch } from "../llm/resilience.js";
+
+function extensionFor(mimeType) {
+  if (mimeType.includes("mp4")) return "m4a";
+  if (mimeType.includes("mpeg")) return "mp3";
+  if (mimeType.includes("ogg")) return "ogg";
+  return "webm";
+}
+
+export function createHttpRecognizer({
+  url = process.env.STT_HTTP_URL,
+  apiKey = process.env.STT_HTTP_API_KEY,
+  format = process.env.STT_HTTP_FORMAT || "raw",
+  model = process.env.STT_HTTP_MODEL,
+  partials = process.env.STT_HTTP_PARTIALS === "1",
+} = {}) {
+  if (!url) throw new Error("[stt] STT_HTTP_URL not set");
+
+  return {
+    name: "http",
+    async transcribe(audio, { mimeType, final, signal }) {
+      if (!final && !partials) return "";
+
+      const type = (mimeType || "audio/webm").split(";")[0];
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+      let body;
+      if (format === "multipart") {
+        body = new FormData();
+        body.append("file", new Blob([audio], { type }), `audio.${extensionFor(type)}`);
+        if (model) body.append("model", model);
+      } else {
+        headers["Content-Type"] = type;
+        body = audio;
+      }
+
+      const resp = await upstreamFetch(url, { method: "POST", headers, body, signal, retries: final ? undefined : 0 });
+      if (!resp.ok) throw await upstreamFailure(resp, "STT endpoint");
+      const json = await resp.json();
+      return json.text ?? json.transcript ?? "";
+    },
+  };
+}
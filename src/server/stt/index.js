@@ -0,0 +1,121 @@
+// stt/index.js - speech-to-text pipeline for /api/voicechat
+// Recognizer adapters share one tiny interface:
+//   { name, transcribe(audio: Buffer, { mimeType, final, utteranceId, signal }) -> Promise<string> }
+// `audio` is everything buffered for the current utterance, so each call gets a decodable file
+// (MediaRecorder only writes the container header into the first chunk).
+import { EventEmitter } from "events";
+import { createFakeRecognizer } from "./fake.js";
+import { createHttpRecognizer } from "./http.js";
+import { createLogger } from "../log.js";
+import { transcriptsProduced } from "../metrics.js";
+
+const log = createLogger("stt");
+
+const adapters = {
+  fake: createFakeRecognizer,
+  http: createHttpRecognizer,
+};
+
+// Pick the adapter from STT_PROVIDER, defaulting to the HTTP endpoint when STT_HTTP_URL is set
+export function createRecognizer(name = process.env.STT_PROVIDER) {
+  const key = name || (process.env.STT_HTTP_URL ? "http" : "fake");
+  const factory = adapters[key];
+  if (!factory) throw new Error(`Unknown STT_PROVIDER "${key}" (expected ${Object.keys(adapters).join(", ")})`);
+  return factory();
+}
+
+let nextUtteranceId = 1;
+
+// Buffers MediaRecorder chunks for one utterance and emits "partial" / "final" transcripts, then
+// "end" once it is finished or aborted
+export class RecognitionStream extends EventEmitter {
+  constructor(recognizer, { mimeType = "", partialIntervalMs = Number(process.env.STT_PARTIAL_INTERVAL_MS ?? 800), maxBytes = Infinity } = {}) {
+    super();
+    this.recognizer = recognizer;
+    this.mimeType = mimeType;
+    this.maxBytes = maxBytes;
+    this.utteranceId = nextUtteranceId++;
+    this.chunks = [];
+    this.bytes = 0;
+    this.transcribedBytes = 0;
+    this.lastPartial = "";
+    this.pending = null;
+    this.closed = false;
+    this.controller = new AbortController();
+    this.timer = partialIntervalMs > 0 ? setInterval(() => this.#emitPartial(), partialIntervalMs) : null;
+  }
+
+  get audio() {
+    return Buffer.concat(this.chunks, this.bytes);
+  }
+
+  // Buffer one chunk; false (chunk dropped) once closed or when it would go past maxBytes
+  write(chunk) {
+    if (this.closed || this.bytes + chunk.length > this.maxBytes) return false;
+    this.chunks.push(chunk);
+    this.bytes += chunk.length;
+    return true;
+  }
+
+  async #emitPartial() {
+    if (this.closed || this.pending || this.bytes === this.transcribedBytes) return;
+    const bytes = this.bytes;
+    this.pending = this.#transcribe(false);
+    try {
+      const text = await this.pending;
+      this.transcribedBytes = bytes;
+      if (!this.closed && text && text !== this.lastPartial) {
+        this.lastPartial = text;
+        transcriptsProduced.inc({ provider: this.recognizer.name, kind: "partial" });
+        this.emit("partial", text);
+      }
+    } catch (err) {
+      if (!this.closed) log.warn("partial transcription failed", { provider: this.recognizer.name, err });
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  #transcribe(final) {
+    return this.recognizer.transcribe(this.audio, {
+      mimeType: this.mimeType,
+      final,
+      utteranceId: this.utteranceId,
+      signal: this.controller.signal,
+    });
+  }
+
+  // Stop collecting and resolve with the final transcript ("" when nothing was recognized).
+  // "end" follows either way, even when the final transcription throws.
+  async finish() {
+    this.#stopTimer();
+    try {
+      await this.pending?.catch(() => {});
+      this.closed = true;
+      if (!this.bytes) {
+        this.emit("final", "");
+        return "";
+      }
+      const text = ((await this.#transcribe(true)) || "").trim();
+      if (text) transcriptsProduced.inc({ provider: this.recognizer.name, kind: "final" });
+      this.emit("final", text);
+      return text;
+    } finally {
+      this.emit("end");
+    }
+  }
+
+  abort() {
+    this.#stopTimer();
+    this.closed = true;
+    this.controller.abort();
+    this.emit("end");
+  }
+
+  #stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -0,0 +1,38 @@
+// tts/http.js - provider backed by an OpenAI-compatible /audio/speech endpoint
+//   TTS_HTTP_URL      endpoint to POST { model, input, voice, response_format } to (required)
+//   TTS_HTTP_API_KEY  optional bearer token
+//   TTS_HTTP_MODEL    model name (default "tts-1")
+//   TTS_HTTP_VOICE    overrides the voice_id the client asks for
+//   TTS_HTTP_FORMAT   response_format (default "mp3")
+// Calls get the UPSTREAM_TIMEOUT_MS timeout and UPSTREAM_RETRIES of src/server/llm/resilience.js.
+import { upstreamFailure, upstreamFetch } from "../llm/resilience.js";
+
+export function createHttpSynthesizer({
+  url = process.env.TTS_HTTP_URL,
+  apiKey = process.env.TTS_HTTP_API_KEY,
+  model = process.env.TTS_HTTP_MODEL || "tts-1",
+  voice = process.env.TTS_HTTP_VOICE,
+  format = process.env.TTS_HTTP_FORMAT || "mp3",
+} = {}) {
+  if (!url) throw new Error("[tts] TTS_HTTP_URL not set");
+
+  return {
+    name: "http",
+    async synthesize(text, { voiceId, signal } = {}) {
+      const resp = await upstreamFetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model, input: text, voice: voice || voiceId, response_format: format }),
+        signal,
+      });
+      if (!resp.ok) throw await upstreamFailure(resp, "TTS endpoint");
+      return {
+        audio: Buffer.from(await resp.arrayBuffer()),
+        contentType: resp.headers.get("content-type") || `audio/${format === "mp3" ? "mpeg" : format}`,
+      };
+    },
+  };
+}
@@ -0,0 +1,36 @@
+// tts/index.js - text-to-speech for voice answers
+// Providers share one interface:
+//   { name, synthesize(text, { voiceId, signal }) -> Promise<{ audio: Buffer, contentType }> }
+// createSynthesizer times every synthesize() call for /metrics.
+import { createToneSynthesizer } from "./tone.js";
+import { createHttpSynthesizer } from "./http.js";
+import { ttsDuration } from "../metrics.js";
+
+export { putAudio, getAudio } from "./store.js";
+
+const providers = {
+  tone: createToneSynthesizer,
+  http: createHttpSynthesizer,
+};
+
+// Pick the provider from TTS_PROVIDER, defaulting to the HTTP endpoint when TTS_HTTP_URL is set
+export function createSynthesizer(name = process.env.TTS_PROVIDER) {
+  const key = name || (process.env.TTS_HTTP_URL ? "http" : "tone");
+  const factory = providers[key];
+  if (!factory) throw new Error(`Unknown TTS_PROVIDER "${key}" (expected ${Object.keys(providers).join(", ")})`);
+  const synthesizer = factory();
+  return {
+    ...synthesizer,
+    async synthesize(text, options = {}) {
+      const done = ttsDuration.startTimer({ provider: synthesizer.name });
+      try {
+        const clip = await synthesizer.synthesize(text, options);
+        done({ outcome: "ok" });
+        return clip;
+      } catch (err) {
+        done({ outcome: options.signal?.aborted ? "aborted" : "error" });
+        throw err;
+      }
+    },
+  };
+}
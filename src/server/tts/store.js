@@ -0,0 +1,30 @@
+// tts/store.js - short-lived in-memory store for synthesized audio served by /api/tts/:id
+import crypto from "crypto";
+
+const TTL_MS = Number(process.env.TTS_TTL_MS || 5 * 60 * 1000);
+const clips = new Map(); // id -> { audio, contentType, expiresAt }
+
+function sweep() {
+  const now = Date.now();
+  for (const [id, clip] of clips) {
+    if (clip.expiresAt <= now) clips.delete(id);
+  }
+}
+setInterval(sweep, 30 * 1000).unref();
+
+// Keep a clip for TTL_MS and return its id
+export function putAudio(audio, contentType) {
+  const id = crypto.randomUUID();
+  clips.set(id, { audio, contentType, expiresAt: Date.now() + TTL_MS });
+  return id;
+}
+
+export function getAudio(id) {
+  const clip = clips.get(id);
+  if (!clip) return null;
+  if (clip.expiresAt <= Date.now()) {
+    clips.delete(id);
+    return null;
+  }
+  return clip;
+}
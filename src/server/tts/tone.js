@@ -0,0 +1,48 @@
+// tts/tone.js - offline stand-in provider that renders a short WAV tone instead of speech
+// Length follows the text (~TTS_TONE_MS_PER_WORD per word) so playback timing feels realistic.
+const SAMPLE_RATE = 16000;
+
+function wavFromSamples(samples) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((v, i) => data.writeInt16LE(Math.round(Math.max(-1, Math.min(1, v)) * 32767), i * 2));
+
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16); // PCM chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write("data", 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+export function createToneSynthesizer({
+  msPerWord = Number(process.env.TTS_TONE_MS_PER_WORD || 120),
+  maxMs = Number(process.env.TTS_TONE_MAX_MS || 4000),
+} = {}) {
+  return {
+    name: "tone",
+    async synthesize(text, { voiceId = "" } = {}) {
+      const words = text.trim().split(/\s+/).filter(Boolean).length;
+      const ms = Math.min(maxMs, Math.max(200, words * msPerWord));
+      const count = Math.round((SAMPLE_RATE * ms) / 1000);
+      // Different voices get a different pitch so persona switches are audible
+      const freq = 330 + ([...voiceId].reduce((sum, c) => sum + c.charCodeAt(0), 0) % 8) * 40;
+      const fade = Math.min(count / 2, SAMPLE_RATE * 0.02);
+
+      const samples = new Float32Array(count);
+      for (let i = 0; i < count; i++) {
+        const envelope = Math.min(1, i / fade, (count - i) / fade);
+        samples[i] = 0.25 * envelope * Math.sin((2 * Math.PI * freq * i) / SAMPLE_RATE);
+      }
+      return { audio: wavFromSamples(samples), contentType: "audio/wav" };
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// uploads.js - limits for files attached to chat questions (forwarded to Dify's file upload API)
+//   UPLOAD_MAX_BYTES  largest accepted file                                   (default 15 MB)
+//   UPLOAD_MAX_FILES  files attached to one question                          (default 5)
+//   UPLOAD_TYPES      comma-separated extensions, e.g. "pdf,png"             (default below)
+// The file type is decided by the extension, never by the Content-Type the browser claims.
+
+// Extensions Dify can read, minus the ones a browser would render as active content (svg, html)
+const KNOWN_TYPES = {
+  pdf: "application/pdf",
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+const allowed = (process.env.UPLOAD_TYPES || Object.keys(KNOWN_TYPES).join(","))
+  .split(",")
+  .map((ext) => ext.trim().toLowerCase().replace(/^\./, ""))
+  .filter((ext) => KNOWN_TYPES[ext]);
+
+export const UPLOAD_LIMITS = {
+  maxBytes: Number(process.env.UPLOAD_MAX_BYTES || 15 * 1024 * 1024),
+  maxFiles: Number(process.env.UPLOAD_MAX_FILES || 5),
+  extensions: allowed,
+};
+
+function extensionOf(name) {
+  const match = /\.([a-z0-9]+)$/i.exec(name || "");
+  return match ? match[1].toLowerCase() : "";
+}
+
+// Check one upload; returns { mimeType, type } to send to Dify, or { status, error } to reject it
+export function checkUpload({ name, size }) {
+  if (!name || typeof name !== "string" || name.length > 255) return { status: 400, error: "Missing or invalid file name" };
+  const ext = extensionOf(name);
+  if (!allowed.includes(ext)) {
+    return { status: 415, error: `Unsupported file type${ext ? ` '.${ext}'` : ""}. Allowed: ${allowed.join(", ")}` };
+  }
+  if (!size) return { status: 400, error: "The file is empty" };
+  if (size > UPLOAD_LIMITS.maxBytes) return { status: 413, error: `File is larger than ${formatBytes(UPLOAD_LIMITS.maxBytes)}` };
+  const mimeType = KNOWN_TYPES[ext];
+  return { mimeType, type: mimeType.startsWith("image/") ? "image" : "document" };
+}
+
+// `files` from an /api/chat body ([{ id, type }] as returned by /api/upload) -> Dify's chat `files`.
+// Returns { files } or { error }.
+export function toChatFiles(files) {
+  if (files === undefined || files === null) return { files: [] };
+  if (!Array.isArray(files)) return { error: "'files' must be an array" };
+  if (files.length > UPLOAD_LIMITS.maxFiles) return { error: `At most ${UPLOAD_LIMITS.maxFiles} files per question` };
+  const out = [];
+  for (const f of files) {
+    if (typeof f?.id !== "string" || !f.id || !["image", "document"].includes(f.type)) {
+      return { error: "Each file needs the 'id' and 'type' returned by /api/upload" };
+    }
+    out.push({ type: f.type, transfer_method: "local_file", upload_file_id: f.id });
+  }
+  return { files: out };
+}
+
+export function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${Math.round((n / (1024 * 1024)) * 10) / 10} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
@@ -0,0 +1,410 @@
+// voice.js - /api/voicechat WebSocket: connection handshake plus per-session voice logic
+// Message shapes live in src/shared/protocol.js. Sessions (src/server/sessions.js) survive a
+// dropped socket for a grace period; in-flight answers keep going and are replayed on reconnect.
+// Audio -> speech-to-text -> the bot's LLM backend (same as /api/chat) -> streamed answer + synthesized speech.
+// Speech is synthesized sentence by sentence while the answer streams and sent as ordered
+// tts_chunk messages ({ seq, url, text }) followed by tts_end ({ count }).
+// A `cancel` (or a new `start`) barges in: the in-flight Dify request, transcription and TTS are
+// aborted and the client gets an `interrupted` event.
+// Follow-up questions (where the backend has them) are fetched while the answer is spoken and sent as `suggestions`.
+// Utterances longer than VOICE_MAX_UTTERANCE_MS, or bigger than VOICE_MAX_UTTERANCE_BYTES (default
+// 10 MB), are cut off with a `timeout` event and answered as is.
+// A socket closed with code 1000 or 1001 (CLOSE_CODES.CLIENT_DONE, PAGE_GONE) ends its session at
+// once; any other close keeps it for a reconnect.
+// Per user/IP limits (src/server/rateLimit.js) are reported as `rate_limited` events; a failing
+// backend as an `error` with one of the upstream_* codes and a friendly message.
+// Every socket gets a socket_id (sent in `session`, on every log line while handling its messages);
+// each answered turn writes one "voice turn" log line with its latency and upstream calls.
+import crypto from "crypto";
+import { RecognitionStream } from "./stt/index.js";
+import { suggestFollowUps } from "./llm/index.js";
+import { describeFailure } from "./llm/resilience.js";
+import { putAudio } from "./tts/index.js";
+import { createSentenceSplitter } from "./sentences.js";
+import { CLOSE_CODES, ERROR_CODES, SERVER_MESSAGES, negotiateProtocol, parseClientMessage, validateMessage } from "../shared/protocol.js";
+import { createSession, findSession } from "./sessions.js";
+import { canContinueConversation, isConversationId, recordExchange, recordFailedTurn } from "./store.js";
+import { resolveBot, toChatInputs } from "./bots.js";
+import { recordError, recordTurn } from "./stats.js";
+import { LIMITS, acquireVoiceSession, addTokens, checkAudioBudget, clientKey, takeChatTurn } from "./rateLimit.js";
+import { createLogger, runWithContext, upstreamCalls } from "./log.js";
+import { audioReceivedBytes, voiceSocketsActive } from "./metrics.js";
+
+const log = createLogger("voice");
+
+const MAX_UTTERANCE_MS = Number(process.env.VOICE_MAX_UTTERANCE_MS || 30000);
+const MAX_UTTERANCE_BYTES = Number(process.env.VOICE_MAX_UTTERANCE_BYTES || 10 * 1024 * 1024);
+
+// Handshake: ?protocol=<n> picks the version, ?bot=<slug> the persona,
+// ?session_id=...&last_seq=<n> resumes a session
+export function handleVoiceConnection(ws, req, deps) {
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const protocolVersion = negotiateProtocol(params.get("protocol"));
+  if (protocolVersion === null) {
+    ws.send(JSON.stringify({ type: "error", code: ERROR_CODES.UNSUPPORTED_PROTOCOL, message: "Unsupported protocol version" }));
+    ws.close(1002, "unsupported protocol");
+    return;
+  }
+  const bot = resolveBot(params.get("bot"));
+  if (!bot) {
+    ws.send(JSON.stringify({ type: "error", code: ERROR_CODES.UNKNOWN_BOT, message: `Unknown bot '${params.get("bot")}'` }));
+    ws.close(1008, "unknown bot");
+    return;
+  }
+
+  // Only the identity that opened a session may resume it, and only with the same bot
+  const identity = req.identity || null;
+  const found = findSession(params.get("session_id"));
+  const existing = found && found.identity?.id === identity?.id && found.bot.slug === bot.slug ? found : null;
+  const session = existing || openSession(ws, deps, { identity, bot, limitKey: clientKey(req) });
+  if (!session) return;
+  const socketId = crypto.randomUUID();
+  const hello = { type: "session", protocol_version: protocolVersion, resumed: Boolean(existing), bot: bot.slug, socket_id: socketId };
+  session.attach(ws, hello, Number(params.get("last_seq")) || 0);
+  const ids = { socket_id: socketId, session_id: session.id };
+  log.info("socket opened", { ...ids, bot: bot.slug, resumed: Boolean(existing), protocol_version: protocolVersion });
+  voiceSocketsActive.inc();
+
+  ws.on("close", (code) => {
+    voiceSocketsActive.dec();
+    log.info("socket closed", { ...ids, code });
+    // A client that hung up on purpose, or a page that went away, never resumes: free its session
+    // (and rate-limit slot) now
+    const done = code === CLOSE_CODES.CLIENT_DONE || code === CLOSE_CODES.PAGE_GONE;
+    if (done && session.ws === ws) session.close();
+    else session.detach(ws);
+  });
+  ws.on("message", (data, isBinary) => {
+    if (session.ws === ws) runWithContext(ids, () => session.voice.handleMessage(data, isBinary));
+  });
+}
+
+// New session, or null (socket told and closed) when the client already has too many open
+function openSession(ws, deps, { identity, bot, limitKey }) {
+  const slot = acquireVoiceSession(limitKey);
+  if (slot.limit) {
+    ws.send(JSON.stringify({ type: "rate_limited", ...slot.limit }));
+    ws.close(1008, "rate limited");
+    return null;
+  }
+  const session = createSession({
+    onExpire: () => {
+      session.voice.dispose();
+      slot.release();
+    },
+  });
+  session.identity = identity;
+  session.bot = bot;
+  session.voice = createVoiceSession(session, deps, { identity, bot, limitKey });
+  return session;
+}
+
+// Per-session voice logic; `channel` is the session from sessions.js (send() stamps + replays)
+function createVoiceSession(channel, { recognizer, synthesizer }, { identity, bot, limitKey }) {
+  // Dify thread + app inputs shared by every turn in this session; the bot supplies the defaults
+  const state = {
+    conversationId: undefined,
+    inputs: { ...bot.inputs },
+    user: identity?.id,
+    voiceId: bot.voice_id || undefined,
+  };
+
+  const send = (msg) => {
+    const problem = validateMessage(SERVER_MESSAGES, msg);
+    if (problem) log.warn("sending off-protocol message", { type: msg.type, problem: problem.message });
+    channel.send(msg);
+  };
+
+  // Current utterance (null while not recording) and the in-flight turn (transcribe + answer + speak)
+  let recognition = null;
+  let turn = null;
+  let audioMs = 0; // recorded so far in this session, see checkAudioBudget
+  let audioBytes = 0;
+
+  // Tell the client about a limit hit; returns true when there was one
+  function rateLimited(limit) {
+    if (limit) send({ type: "rate_limited", ...limit });
+    return Boolean(limit);
+  }
+
+  // A turn refused up front still ends with `done` so the client settles
+  function refuseTurn(limit) {
+    if (!rateLimited(limit)) return false;
+    send({ type: "done" });
+    return true;
+  }
+
+  function beginTurn() {
+    cancelTurn();
+    turn = new AbortController();
+    return turn;
+  }
+
+  // Abort the in-flight turn; returns false if there was nothing to cancel
+  function cancelTurn() {
+    if (!turn) return false;
+    turn.abort();
+    turn = null;
+    return true;
+  }
+
+  function startRecognition(mimeType) {
+    recognition?.abort();
+    const current = new RecognitionStream(recognizer, { mimeType, maxBytes: MAX_UTTERANCE_BYTES > 0 ? MAX_UTTERANCE_BYTES : Infinity });
+    current.on("partial", (text) => send({ type: "partial_transcript", text }));
+    recognition = current;
+
+    // Whichever comes first: the per-utterance cap or what is left of the session's audio budget
+    const startedAt = Date.now();
+    const capMs = MAX_UTTERANCE_MS > 0 ? MAX_UTTERANCE_MS : Infinity;
+    const leftMs = LIMITS.audioSecondsPerSession > 0 ? LIMITS.audioSecondsPerSession * 1000 - audioMs : Infinity;
+    let timer = null;
+    if (Math.min(capMs, leftMs) < Infinity) {
+      timer = setTimeout(() => {
+        if (recognition !== current) return;
+        if (leftMs < capMs) rateLimited(checkAudioBudget(leftMs + audioMs));
+        else send({ type: "timeout", max_ms: MAX_UTTERANCE_MS });
+        finishUtterance();
+      }, Math.min(capMs, leftMs));
+    }
+    // "end" comes after a final transcript, an abort or a failed transcription alike, so the
+    // audio always counts against the budget
+    current.once("end", () => {
+      clearTimeout(timer);
+      audioMs += Date.now() - startedAt;
+    });
+  }
+
+  // Pick up thread/inputs the client sends with `start` or `text` (inputs already checked and
+  // laid over the bot's defaults)
+  function updateState(msg, inputs) {
+    if (typeof msg.conversation_id === "string" && msg.conversation_id) state.conversationId = msg.conversation_id;
+    if (inputs) state.inputs = inputs;
+    if (!identity && typeof msg.user === "string" && msg.user) state.user = msg.user;
+    if (typeof msg.voice_id === "string" && msg.voice_id) state.voiceId = msg.voice_id;
+  }
+
+  // Ask the bot's backend and stream the answer as partial_answer/final_answer; mode is recorded with the turn
+  async function answer(query, mode, controller = beginTurn()) {
+    const startedAt = Date.now();
+    let text = "";
+    let taskId = null;
+    let failed = null;
+    const splitter = createSentenceSplitter();
+    const speech = createSpeech(controller.signal);
+    try {
+      const result = await bot.backend.chat(
+        { query, inputs: state.inputs, conversation_id: state.conversationId, user: state.user },
+        {
+          signal: controller.signal,
+          onEvent: (evt) => {
+            if (evt.task_id) taskId = evt.task_id;
+            if (evt.event === "message" && evt.answer) {
+              text += evt.answer;
+              send({ type: "partial_answer", text });
+              splitter.push(evt.answer).forEach(speech.say);
+            }
+          },
+        }
+      );
+      if (controller.signal.aborted) return;
+
+      addTokens(limitKey, result.usage);
+      if (result.conversation_id) state.conversationId = result.conversation_id;
+      send({
+        type: "final_answer",
+        text: result.answer,
+        conversation_id: state.conversationId,
+        message_id: result.message_id,
+        citations: result.citations,
+      });
+      recordExchange({
+        conversationId: result.conversation_id,
+        user: state.user,
+        bot: bot.slug,
+        mode,
+        query,
+        answer: result.answer,
+        messageId: result.message_id,
+        citations: result.citations,
+        startedAt,
+      });
+      recordTurn(bot.slug, { mode, latencyMs: Date.now() - startedAt });
+      const suggested = suggestFollowUps(bot.backend, result.message_id, state.user, { signal: controller.signal }).then(
+        (questions) => {
+          if (questions.length && !controller.signal.aborted) send({ type: "suggestions", message_id: result.message_id, questions });
+        }
+      );
+      const rest = splitter.flush();
+      if (rest) speech.say(rest);
+      await Promise.all([speech.end(), suggested]);
+    } catch (err) {
+      if (controller.signal.aborted) {
+        // Closing our side of the stream does not stop Dify from generating; tell it explicitly
+        if (taskId && bot.backend.stop) {
+          bot.backend.stop(taskId, state.user).catch((e) => log.warn("stop failed", { backend: bot.backend.name, err: e }));
+        }
+        return;
+      }
+      const { code, message, retry_after: retryAfter } = describeFailure(err, bot.name);
+      failed = code;
+      log.error("answer failed", { bot: bot.slug, code, err });
+      recordError(bot.slug, "chat", err?.message || err);
+      recordFailedTurn({ conversationId: state.conversationId, user: state.user, bot: bot.slug, mode, query, code, startedAt });
+      send({ type: "error", code, message, ...(retryAfter ? { retry_after: retryAfter } : {}) });
+    } finally {
+      if (turn === controller) {
+        turn = null;
+        send({ type: "done" });
+      }
+      log.info("voice turn", {
+        bot: bot.slug,
+        mode,
+        outcome: controller.signal.aborted ? "interrupted" : failed || "answered",
+        duration_ms: Date.now() - startedAt,
+        upstream: upstreamCalls(),
+      });
+    }
+  }
+
+  // Synthesize sentences as soon as they complete (in parallel) but send the clips in order
+  function createSpeech(signal) {
+    let seq = 0;
+    let chain = Promise.resolve();
+
+    return {
+      say(sentence) {
+        const index = seq++;
+        const clip = synthesizer.synthesize(sentence, { voiceId: state.voiceId, signal });
+        clip.catch(() => {}); // reported below, once it is this clip's turn
+        chain = chain.then(async () => {
+          try {
+            const { audio, contentType } = await clip;
+            if (signal.aborted) return;
+            send({ type: "tts_chunk", seq: index, text: sentence, url: `/api/tts/${putAudio(audio, contentType)}` });
+          } catch (err) {
+            if (signal.aborted) return;
+            log.error("speech synthesis failed", { provider: synthesizer.name, err });
+            recordError(bot.slug, "tts", err?.message || err);
+          }
+        });
+      },
+      async end() {
+        await chain;
+        if (!signal.aborted) send({ type: "tts_end", count: seq });
+      },
+    };
+  }
+
+  async function finishUtterance() {
+    if (!recognition) return;
+    const current = recognition;
+    recognition = null;
+    const controller = beginTurn();
+    controller.signal.addEventListener("abort", () => current.abort());
+
+    let finalText;
+    try {
+      finalText = await current.finish();
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      log.error("final transcription failed", { provider: recognizer.name, err });
+      recordError(bot.slug, "stt", err?.message || err);
+      send({ type: "error", code: ERROR_CODES.STT_FAILED, message: "Speech recognition failed" });
+      finalText = "";
+    }
+    if (controller.signal.aborted) return;
+
+    if (!finalText) {
+      turn = null;
+      send({ type: "final_transcript", text: "" });
+      send({ type: "done" });
+      return;
+    }
+    send({ type: "final_transcript", text: finalText });
+    await answer(finalText, "voice", controller);
+  }
+
+  function handleMessage(data, isBinary) {
+    if (isBinary) {
+      audioReceivedBytes.inc({ bot: bot.slug }, data.length);
+      if (!recognition) return;
+      // Audio is buffered in memory: past the session's byte budget or the utterance's size cap,
+      // answer what was heard so far
+      const overBudget = checkAudioBudget(audioMs, audioBytes + data.length);
+      if (!overBudget && recognition.write(data)) {
+        audioBytes += data.length;
+        return;
+      }
+      if (overBudget) rateLimited(overBudget);
+      else send({ type: "timeout", max_ms: MAX_UTTERANCE_MS, max_bytes: MAX_UTTERANCE_BYTES });
+      finishUtterance();
+      return;
+    }
+
+    const { msg, error } = parseClientMessage(data.toString());
+    if (error) {
+      send({ type: "error", ...error });
+      return;
+    }
+    if (msg.conversation_id && !isConversationId(msg.conversation_id)) {
+      send({ type: "error", code: ERROR_CODES.INVALID_MESSAGE, message: "Invalid 'conversation_id'" });
+      return;
+    }
+    const context = msg.inputs === undefined ? null : toChatInputs(bot, msg.inputs);
+    if (context?.error) {
+      send({ type: "error", code: ERROR_CODES.INVALID_MESSAGE, message: context.error });
+      return;
+    }
+    const user = identity?.id || (typeof msg.user === "string" && msg.user) || state.user;
+    if (msg.conversation_id && !canContinueConversation(msg.conversation_id, { user, bot: bot.slug })) {
+      send({ type: "error", code: ERROR_CODES.UNKNOWN_CONVERSATION, message: "Conversation not found" });
+      return;
+    }
+
+    if (msg.type === "text") {
+      if (!msg.text.trim()) {
+        send({ type: "error", code: ERROR_CODES.INVALID_MESSAGE, message: "'text.text' must not be empty" });
+        return;
+      }
+      if (cancelTurn()) send({ type: "interrupted" });
+      if (refuseTurn(takeChatTurn(limitKey))) return;
+      updateState(msg, context?.inputs);
+      answer(msg.text, "text");
+    } else if (msg.type === "cancel") {
+      recognition?.abort();
+      recognition = null;
+      cancelTurn();
+      send({ type: "interrupted" });
+    } else if (msg.type === "start") {
+      if (cancelTurn()) send({ type: "interrupted" });
+      if (refuseTurn(checkAudioBudget(audioMs, audioBytes) || takeChatTurn(limitKey))) return;
+      updateState(msg, context?.inputs);
+      startRecognition(msg.mime_type);
+    } else if (msg.type === "stop") {
+      // Nothing recording (the start was refused, or it was cut off and answered already): the
+      // client still waits for a done. A turn that is running sends its own.
+      if (!recognition && !turn) send({ type: "done" });
+      else finishUtterance();
+    }
+  }
+
+  // Session expired: stop everything still running for it
+  function dispose() {
+    recognition?.abort();
+    recognition = null;
+    cancelTurn();
+  }
+
+  // Snapshot for the admin console
+  function describe() {
+    return {
+      conversation_id: state.conversationId || null,
+      user: state.user || null,
+      recording: Boolean(recognition),
+      busy: Boolean(turn),
+    };
+  }
+
+  return { handleMessage, dispose, describe };
+}
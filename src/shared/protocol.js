@@ -0,0 +1,127 @@
+// protocol.js - /api/voicechat message protocol shared by the server and the browser
+// Every JSON frame is { type, ...fields }. Binary frames carry MediaRecorder audio between
+// `start` and `stop`. The client asks for a version with ?protocol=<n> on the socket URL; the
+// server answers with the version it will speak in the `session` message. ?bot=<slug> picks the
+// persona (default bot otherwise); an unknown slug gets `unknown_bot` and the socket is closed.
+// Resuming: reconnect with ?session_id=<id>&last_seq=<n>. Every server message after `session`
+// carries an increasing `event_seq`; the server replays the ones after last_seq, so the client
+// should skip any event_seq it has already handled. `session.resumed` tells whether state was kept.
+
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+// Codes sent in { type: "error", code, message }
+export const ERROR_CODES = {
+  INVALID_JSON: "invalid_json",
+  INVALID_MESSAGE: "invalid_message",
+  UNKNOWN_TYPE: "unknown_type",
+  UNSUPPORTED_PROTOCOL: "unsupported_protocol",
+  UNKNOWN_BOT: "unknown_bot",
+  // The conversation_id belongs to another user or bot; start a new conversation instead
+  UNKNOWN_CONVERSATION: "unknown_conversation",
+  STT_FAILED: "stt_failed",
+  CHAT_FAILED: "chat_failed",
+  // The bot's LLM upstream failed: an error reply, no reply within the timeout, or an open
+  // circuit after repeated failures (retry_after says when to try again). Also used by /api/chat.
+  UPSTREAM_ERROR: "upstream_error",
+  UPSTREAM_TIMEOUT: "upstream_timeout",
+  UPSTREAM_UNAVAILABLE: "upstream_unavailable",
+};
+
+// WebSocket close codes the server uses besides the standard ones; the client must not
+// reconnect after CLOSED_BY_OPERATOR (an admin ended the session)
+export const CLOSE_CODES = {
+  // Sent by the client when it hangs up on purpose; the server ends the session instead of
+  // keeping it for a reconnect
+  CLIENT_DONE: 1000,
+  // Sent by the browser on reload, navigation or tab close. The page keeps its session id only
+  // in memory, so it can never resume: the server ends the session as for CLIENT_DONE.
+  PAGE_GONE: 1001,
+  REPLACED: 4000,
+  CLOSED_BY_OPERATOR: 4001,
+};
+
+// Field specs: "<type>" is required, "<type>?" optional. Types: string, number, boolean, object, array.
+const turnContext = {
+  inputs: "object?",
+  user: "string?",
+  conversation_id: "string?",
+};
+
+export const CLIENT_MESSAGES = {
+  start: { ...turnContext, mime_type: "string?", voice_id: "string?" },
+  stop: {},
+  cancel: {},
+  text: { ...turnContext, text: "string" },
+};
+
+export const SERVER_MESSAGES = {
+  // socket_id is new for every connection (session_id survives reconnects); it tags the server's log lines
+  session: { session_id: "string", protocol_version: "number", resumed: "boolean", last_seq: "number", bot: "string?", socket_id: "string?" },
+  partial_transcript: { text: "string" },
+  final_transcript: { text: "string" },
+  partial_answer: { text: "string" },
+  // citations: [{ position, document_name, dataset_name, content, score, document_id, segment_id }]
+  final_answer: { text: "string", conversation_id: "string?", message_id: "string?", citations: "array?" },
+  // Follow-up questions for the answer with message_id; sent after final_answer, before done (if any)
+  suggestions: { message_id: "string?", questions: "array" },
+  tts_chunk: { seq: "number", url: "string", text: "string" },
+  tts_url: { url: "string" },
+  tts_end: { count: "number" },
+  // The utterance hit its length cap and is answered as is; max_bytes is set when the size cap hit first
+  timeout: { max_ms: "number", max_bytes: "number?" },
+  // reason: requests_per_minute | daily_tokens | voice_sessions | audio_seconds | audio_bytes; retry_after in seconds
+  rate_limited: { reason: "string", retry_after: "number", message: "string" },
+  interrupted: {},
+  error: { code: "string", message: "string", retry_after: "number?" },
+  done: {},
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// Check msg against a message table; returns null when valid, else { code, message }
+export function validateMessage(table, msg) {
+  if (typeOf(msg) !== "object" || typeof msg.type !== "string") {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: "Message must be an object with a string 'type'" };
+  }
+  // Own keys only: "constructor" or "toString" are not message types
+  const schema = Object.hasOwn(table, msg.type) ? table[msg.type] : null;
+  if (!schema) return { code: ERROR_CODES.UNKNOWN_TYPE, message: `Unknown message type '${msg.type}'` };
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const expected = optional ? spec.slice(0, -1) : spec;
+    const value = msg[field];
+    if (value === undefined) {
+      if (optional) continue;
+      return { code: ERROR_CODES.INVALID_MESSAGE, message: `'${msg.type}' is missing required field '${field}'` };
+    }
+    if (typeOf(value) !== expected) {
+      return { code: ERROR_CODES.INVALID_MESSAGE, message: `'${msg.type}.${field}' must be a ${expected}` };
+    }
+  }
+  return null;
+}
+
+// Parse and validate a client text frame: { msg } on success, { error } otherwise
+export function parseClientMessage(raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch {
+    return { error: { code: ERROR_CODES.INVALID_JSON, message: "Message is not valid JSON" } };
+  }
+  const error = validateMessage(CLIENT_MESSAGES, msg);
+  return error ? { error } : { msg };
+}
+
+// Pick the version to speak given the client's ?protocol= value (absent = current version)
+export function negotiateProtocol(requested) {
+  if (requested === undefined || requested === null || requested === "") return PROTOCOL_VERSION;
+  const version = Number(requested);
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version) ? version : null;
+}
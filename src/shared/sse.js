@@ -0,0 +1,51 @@
+// sse.js - minimal Server-Sent Events reader shared by the server proxy and the browser
+
+// Parse one SSE block ("event: x\ndata: y") into { event, data }
+function parseBlock(block) {
+  let event = "message";
+  const data = [];
+  for (const line of block.split("\n")) {
+    if (!line || line.startsWith(":")) continue; // comments / keep-alives
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+  return data.length ? { event, data: data.join("\n") } : null;
+}
+
+// Yield { event, data } for every event in a fetch() body (WHATWG ReadableStream).
+// Uses getReader() because async iteration of streams is not available in every browser.
+export async function* readSseEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  // A chunk ending in "\r" may be half of a "\r\n"; hold it back until the next chunk says which
+  let carry = "";
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      let text = carry + decoder.decode(value, { stream: true });
+      carry = text.endsWith("\r") ? "\r" : "";
+      if (carry) text = text.slice(0, -1);
+      buffer += text.replace(/\r\n?/g, "\n");
+      let idx;
+      while ((idx = buffer.indexOf("\n\n")) !== -1) {
+        const evt = parseBlock(buffer.slice(0, idx));
+        buffer = buffer.slice(idx + 2);
+        if (evt) yield evt;
+      }
+    }
+    const tail = parseBlock(buffer + (carry + decoder.decode()).replace(/\r\n?/g, "\n"));
+    if (tail) yield tail;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Serialize one event for an SSE response
+export function formatSseEvent(event, payload) {
+  return `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
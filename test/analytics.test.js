@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Keep the store in memory; imported after the env is set
+process.env.CONVERSATION_STORE = "memory";
+const { recordExchange, recordFailedTurn } = await import("../src/server/store.js");
+const { isFallback, normalizeQuestion, parseDays, summary, unanswered } = await import("../src/server/analytics.js");
+
+test("normalizeQuestion folds case, accents, punctuation, filler words and plurals", () => {
+  assert.equal(normalizeQuestion("What are FHA loans?"), "fha loan");
+  assert.equal(normalizeQuestion("fha loan"), "fha loan");
+  assert.equal(normalizeQuestion("Loan FHA!!"), "fha loan");
+  assert.equal(normalizeQuestion("Crédito rápido"), "credito rapido");
+  assert.equal(normalizeQuestion("Current mortgage rates"), normalizeQuestion("mortgage rate current"));
+  assert.equal(normalizeQuestion("business loans"), "business loan");
+  assert.equal(normalizeQuestion("What is this?"), "");
+});
+
+test("isFallback spots empty answers and fallback phrases", () => {
+  assert.equal(isFallback(""), true);
+  assert.equal(isFallback(null), true);
+  assert.equal(isFallback("Sorry, I don’t know that one."), true);
+  assert.equal(isFallback("I COULDN'T FIND anything on that"), true);
+  assert.equal(isFallback("FHA loans need a 580 score."), false);
+});
+
+test("parseDays clamps the range", () => {
+  assert.equal(parseDays("7"), 7);
+  assert.equal(parseDays("0"), 30);
+  assert.equal(parseDays("abc"), 30);
+  assert.equal(parseDays("9999"), 365);
+});
+
+test("failed turns count as fallbacks and show their error code", () => {
+  const startedAt = Date.now();
+  const bot = "analytics-test";
+  recordExchange({ conversationId: "a1", user: "u1", bot, mode: "text", query: "What are FHA loans?", answer: "Loans insured by the FHA.", startedAt });
+  recordFailedTurn({ conversationId: "a1", user: "u1", bot, mode: "voice", query: "fha loan", code: "upstream_timeout", startedAt });
+
+  const stats = summary({ bot });
+  assert.equal(stats.questions, 2);
+  assert.equal(stats.conversations, 1);
+  assert.equal(stats.fallbacks, 1);
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.unanswered, 1);
+  assert.equal(stats.latency_ms.p50, summary({ bot }).latency_ms.avg);
+
+  const [topic] = unanswered({ bot });
+  assert.equal(topic.key, "fha loan");
+  assert.deepEqual(topic.examples[0].reasons, ["upstream_timeout"]);
+  assert.equal(topic.examples[0].error, "upstream_timeout");
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Accounts in a throwaway file; imported after the env is set
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+process.env.AUTH_USERS_FILE = path.join(dir, "users.json");
+process.env.AUTH_SECRET = "test-secret";
+const { SESSION_COOKIE, checkPassword, identityFromRequest, readCookie, saveUser, sign, verify } = await import("../src/server/auth.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("verify accepts what sign produced, until it expires", () => {
+  const token = sign({ sub: "alice", exp: Date.now() + 60000 }, "k");
+  assert.equal(verify(token, "k").sub, "alice");
+  assert.equal(verify(sign({ sub: "alice", exp: Date.now() - 1 }, "k"), "k"), null);
+  assert.equal(verify(sign({ sub: "alice" }, "k"), "k"), null);
+});
+
+test("verify rejects other keys, tampered payloads and junk", () => {
+  const token = sign({ sub: "alice", exp: Date.now() + 60000 }, "k");
+  assert.equal(verify(token, "other"), null);
+  const [, mac] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ sub: "admin", exp: Date.now() + 60000 })).toString("base64url");
+  assert.equal(verify(`${forged}.${mac}`, "k"), null);
+  assert.equal(verify(`${token}x`, "k"), null);
+  assert.equal(verify("no-dot", "k"), null);
+  assert.equal(verify("", "k"), null);
+  assert.equal(verify(token, ""), null);
+});
+
+test("readCookie finds one cookie and treats a malformed value as absent", () => {
+  assert.equal(readCookie("a=1; hpai_session=tok%2Fen; b=2", "hpai_session"), "tok/en");
+  assert.equal(readCookie("xhpai_session=1", "hpai_session"), null);
+  assert.equal(readCookie("hpai_session=%E0%A4%A", "hpai_session"), null);
+  assert.equal(readCookie("other=%E0%A4%A; hpai_session=ok", "hpai_session"), "ok");
+  assert.equal(readCookie(undefined, "hpai_session"), null);
+});
+
+test("identityFromRequest reads a signed session cookie", () => {
+  const token = sign({ sub: "alice", name: "Alice", kind: "local", exp: Date.now() + 60000 }, "test-secret");
+  const req = (cookie) => ({ headers: { cookie } });
+  assert.deepEqual(identityFromRequest(req(`${SESSION_COOKIE}=${token}`)), { id: "alice", name: "Alice", kind: "local" });
+  assert.equal(identityFromRequest(req(`${SESSION_COOKIE}=${sign({ sub: "alice", exp: Date.now() + 60000 }, "other")}`)), null);
+  assert.equal(identityFromRequest(req(undefined)), null);
+});
+
+test("checkPassword signs in local accounts with the right password only", () => {
+  saveUser("alice", "correct horse", "Alice");
+  assert.deepEqual(checkPassword("alice", "correct horse"), { id: "alice", name: "Alice", kind: "local" });
+  assert.equal(checkPassword("alice", "wrong"), null);
+  assert.equal(checkPassword("bob", "correct horse"), null);
+  assert.equal(checkPassword("alice", undefined), null);
+});
+
+test("checkPassword ignores inherited names and non-string usernames", () => {
+  saveUser("alice", "correct horse", "Alice");
+  for (const name of ["__proto__", "constructor", "toString", "hasOwnProperty"]) {
+    assert.equal(checkPassword(name, "x"), null);
+  }
+  assert.equal(checkPassword(["alice"], "correct horse"), null);
+  assert.equal(checkPassword({ toString: () => "alice" }, "correct horse"), null);
+});
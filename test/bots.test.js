@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The registry loads when bots.js is imported, so every case imports a fresh copy of the module
+// after writing its config
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bots-test-"));
+const file = path.join(dir, "bots.json");
+process.env.BOTS_FILE = file;
+process.env.TEST_BOT_KEY = "app-test-key";
+let loads = 0;
+
+function loadBots(config) {
+  fs.writeFileSync(file, typeof config === "string" ? config : JSON.stringify(config));
+  return import(`../src/server/bots.js?load=${++loads}`);
+}
+
+const bot = (fields) => ({ slug: "toby", name: "Toby", dify_api_key_env: "TEST_BOT_KEY", ...fields });
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("bots load from BOTS_FILE with their defaults filled in", async () => {
+  const { defaultBot, getBot, listBots, resolveBot } = await loadBots({
+    default: "ava",
+    bots: [bot({ inputs: { qa_dataset_id: "d1" } }), bot({ slug: "ava", name: " Ava ", accent: "#123abc", voice_id: "ava-voice" })],
+  });
+  assert.deepEqual(listBots().map((b) => b.slug), ["toby", "ava"]);
+  assert.equal(defaultBot().slug, "ava");
+  assert.equal(resolveBot(undefined).slug, "ava");
+  assert.equal(resolveBot("toby").slug, "toby");
+  assert.equal(resolveBot("nobody"), null);
+  assert.equal(getBot("ava").name, "Ava");
+  assert.equal(getBot("ava").accent, "#123abc");
+  assert.equal(getBot("toby").avatar, "/toby.png");
+  assert.deepEqual(getBot("toby").inputs, { qa_dataset_id: "d1" });
+  assert.deepEqual(getBot("ava").inputs, {});
+  assert.equal(getBot("toby").apiKey, "app-test-key");
+});
+
+test("the first bot is the default when none is named", async () => {
+  const { defaultBot } = await loadBots({ bots: [bot(), bot({ slug: "ava" })] });
+  assert.equal(defaultBot().slug, "toby");
+});
+
+test("publicBot leaves out keys and inputs", async () => {
+  const { getBot, publicBot } = await loadBots({ bots: [bot({ dify_api_key: "app-secret", inputs: { a: 1 } })] });
+  const shown = publicBot(getBot("toby"));
+  assert.equal(shown.slug, "toby");
+  assert.equal("apiKey" in shown, false);
+  assert.equal("inputs" in shown, false);
+  assert.doesNotMatch(JSON.stringify(shown), /app-secret/);
+});
+
+test("a broken config fails loudly", async () => {
+  const cases = [
+    [{ bots: [] }, /'bots' must be a non-empty array/],
+    [{ bots: [bot({ slug: "Toby!" })] }, /'slug' must be lowercase/],
+    [{ bots: [bot({ name: " " })] }, /'name' is required/],
+    [{ bots: [bot({ accent: "green" })] }, /'accent' must look like/],
+    [{ bots: [bot({ inputs: ["a"] })] }, /'inputs' must be an object/],
+    [{ bots: [bot(), bot()] }, /duplicate slug 'toby'/],
+    [{ default: "ava", bots: [bot()] }, /default bot 'ava' is not defined/],
+    ["{ not json", /could not read/],
+  ];
+  for (const [config, message] of cases) {
+    await assert.rejects(loadBots(config), message);
+  }
+});
+
+test("a BOTS_FILE that does not exist is an error, not the built-in bot", async () => {
+  fs.rmSync(file, { force: true });
+  await assert.rejects(import(`../src/server/bots.js?load=${++loads}`), /could not read/);
+});
+
+test("toChatInputs lays a client's inputs over the bot's and refuses anything else", async () => {
+  const { getBot, toChatInputs } = await loadBots({ bots: [bot({ inputs: { qa_dataset_id: "d1", tone: "warm" } })] });
+  const toby = getBot("toby");
+  assert.deepEqual(toChatInputs(toby, undefined), { inputs: { qa_dataset_id: "d1", tone: "warm" } });
+  assert.deepEqual(toChatInputs(toby, { tone: "brief", region: "TX" }), { inputs: { qa_dataset_id: "d1", tone: "brief", region: "TX" } });
+  for (const inputs of [["a"], "tone=brief", 42, new Date()]) {
+    assert.match(toChatInputs(toby, inputs).error, /must be an object/);
+  }
+  const many = Object.fromEntries(Array.from({ length: 33 }, (_, i) => [`k${i}`, i]));
+  assert.match(toChatInputs(toby, many).error, /At most 32/);
+  assert.match(toChatInputs(toby, { ["k".repeat(65)]: 1 }).error, /at most 64 characters/);
+  assert.match(toChatInputs(toby, { notes: "x".repeat(17 * 1024) }).error, /at most 16 KB/);
+  assert.deepEqual(toby.inputs, { qa_dataset_id: "d1", tone: "warm" });
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readSseEvents } from "../src/shared/sse.js";
+import { listen, postJson, startServer } from "./helpers.js";
+
+// A Dify stand-in: answers chat-messages in blocking or streaming mode, or fails on request
+const calls = [];
+const dify = await listen((req, res, body) => {
+  const json = body ? JSON.parse(body) : null;
+  calls.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body: json });
+  if (req.method !== "POST" || req.url !== "/v1/chat-messages") {
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ code: "not_found", message: "Not found" }));
+    return;
+  }
+  const ids = { conversation_id: "conv-1", message_id: "msg-1", task_id: "task-1" };
+  if (json.query === "fail") {
+    res.writeHead(500, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ code: "internal_error", message: "boom" }));
+  } else if (json.response_mode === "streaming") {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    const send = (evt) => res.write(`data: ${JSON.stringify({ ...ids, ...evt })}\n\n`);
+    send({ event: "message", answer: "FHA loans " });
+    send({ event: "tts_message", audio: "AAAA" });
+    send({ event: "message", answer: "need 3.5% down." });
+    send({ event: "message_end", metadata: {} });
+    res.end();
+  } else {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ event: "message", ...ids, answer: "FHA loans need 3.5% down.", metadata: {} }));
+  }
+});
+
+const server = await startServer({
+  DIFY_BASE_URL: dify.url,
+  DIFY_API_KEY: "app-test-key",
+});
+
+test.after(async () => {
+  await server.stop();
+  await dify.close();
+});
+
+const lastChatCall = () => calls.filter((c) => c.url === "/v1/chat-messages").at(-1);
+
+test("a question is required", async () => {
+  const resp = await postJson(`${server.url}/api/chat`, { query: "" });
+  assert.equal(resp.status, 400);
+  assert.match((await resp.json()).error, /query/);
+});
+
+test("a blocking answer comes back as JSON", async () => {
+  const resp = await postJson(`${server.url}/api/chat`, { query: "What is an FHA loan?", user: "tester" });
+  assert.equal(resp.status, 200);
+  const json = await resp.json();
+  assert.equal(json.answer, "FHA loans need 3.5% down.");
+  assert.equal(json.conversation_id, "conv-1");
+
+  const call = lastChatCall();
+  assert.equal(call.authorization, "Bearer app-test-key");
+  assert.equal(call.body.query, "What is an FHA loan?");
+  assert.equal(call.body.user, "tester");
+});
+
+test("a streaming answer is relayed as Server-Sent Events", async () => {
+  const resp = await postJson(`${server.url}/api/chat`, { query: "What is an FHA loan?", response_mode: "streaming" });
+  assert.equal(resp.status, 200);
+  assert.match(resp.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = [];
+  for await (const { data } of readSseEvents(resp.body)) events.push(JSON.parse(data));
+  const names = events.map((e) => e.event);
+  assert.equal(events.filter((e) => e.event === "message").map((e) => e.answer).join(""), "FHA loans need 3.5% down.");
+  assert.ok(names.includes("message_end"));
+  assert.ok(names.indexOf("message_end") > names.lastIndexOf("message"));
+  assert.equal(names.includes("tts_message"), false);
+});
+
+test("an upstream failure is not passed off as an answer", async () => {
+  const resp = await postJson(`${server.url}/api/chat`, { query: "fail" });
+  assert.ok(resp.status >= 500);
+  assert.equal(typeof (await resp.json()).answer, "undefined");
+});
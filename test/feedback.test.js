@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { listen, postJson, startServer } from "./helpers.js";
+
+// A Dify stand-in: one canned answer (msg-1) and a feedback endpoint that knows msg-1 and msg-2
+const feedbacks = [];
+const dify = await listen((req, res, body) => {
+  const json = body ? JSON.parse(body) : null;
+  const reply = (status, payload) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  };
+  const feedback = req.url.match(/^\/v1\/messages\/([^/]+)\/feedbacks$/);
+  if (req.method === "POST" && feedback) {
+    if (!["msg-1", "msg-2"].includes(feedback[1])) return reply(404, { code: "not_found", message: "Message Not Exists." });
+    feedbacks.push({ messageId: feedback[1], ...json });
+    return reply(200, { result: "success" });
+  }
+  if (req.method === "POST" && req.url === "/v1/chat-messages") {
+    const answer = { conversation_id: "conv-fb", message_id: "msg-1", task_id: "task-1", answer: "Yes." };
+    if (json.response_mode !== "streaming") return reply(200, { event: "message", ...answer, metadata: {} });
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.write(`data: ${JSON.stringify({ event: "message", ...answer })}\n\n`);
+    res.end(`data: ${JSON.stringify({ event: "message_end", ...answer, metadata: {} })}\n\n`);
+    return;
+  }
+  reply(404, { code: "not_found", message: "Not found" });
+});
+
+const server = await startServer({
+  DIFY_BASE_URL: dify.url,
+  DIFY_API_KEY: "app-test-key",
+});
+
+test.after(async () => {
+  await server.stop();
+  await dify.close();
+});
+
+const rate = (body) => postJson(`${server.url}/api/feedback`, body);
+
+test("feedback needs a message_id, a known rating and a string comment", async () => {
+  for (const body of [{}, { message_id: 42, rating: "like" }, { message_id: "msg-1", rating: "love" }, { message_id: "msg-1", rating: "like", comment: 5 }]) {
+    const resp = await rate(body);
+    assert.equal(resp.status, 400, JSON.stringify(body));
+    assert.ok((await resp.json()).error);
+  }
+  assert.equal(feedbacks.length, 0);
+});
+
+test("a rating on a recorded answer is stored and forwarded to Dify", async () => {
+  const asked = await postJson(`${server.url}/api/chat`, { query: "Is that right?", user: "tester" });
+  assert.equal(asked.status, 200);
+
+  const resp = await rate({ message_id: "msg-1", rating: "dislike", comment: "  Too short  " });
+  assert.equal(resp.status, 200);
+  assert.deepEqual(await resp.json(), { message_id: "msg-1", rating: "dislike", recorded: true, forwarded: true });
+  assert.deepEqual(feedbacks.at(-1), { messageId: "msg-1", rating: "dislike", user: "tester", content: "Too short" });
+
+  const cleared = await rate({ message_id: "msg-1", rating: null });
+  assert.equal((await cleared.json()).recorded, true);
+  assert.equal(feedbacks.at(-1).rating, null);
+});
+
+test("an answer only Dify knows is forwarded; one nobody knows is an error", async () => {
+  const forwarded = await rate({ message_id: "msg-2", rating: "like" });
+  assert.equal(forwarded.status, 200);
+  assert.deepEqual(await forwarded.json(), { message_id: "msg-2", rating: "like", recorded: false, forwarded: true });
+
+  const unknown = await rate({ message_id: "msg-unknown", rating: "like" });
+  assert.equal(unknown.status, 502);
+});
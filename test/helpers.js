@@ -0,0 +1,84 @@
+// Shared by the route tests: fake upstreams, and the real server in a child process
+import { spawn } from "child_process";
+import http from "http";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const serverFile = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "src", "server.js");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// An HTTP server on a free port; handler gets (req, res, body) with the request body as a string
+export function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(async (req, res) => {
+      let body = "";
+      for await (const chunk of req) body += chunk;
+      handler(req, res, body);
+    });
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+// Start src/server.js with `env` on top of ours and wait until /health answers.
+// Production mode keeps Vite out of it; the missing dist/ is only a warning.
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [serverFile], {
+    env: {
+      ...process.env,
+      NODE_ENV: "production",
+      PORT: String(port),
+      // History stays in memory, out of data/
+      CONVERSATION_STORE: "memory",
+      // Sign-in off unless a test turns it on
+      AUTH_SECRET: "",
+      // Bots without a backend of their own talk to Dify
+      LLM_BACKEND: "",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const stop = async () => {
+    child.kill();
+    await exited;
+  };
+  for (let tries = 0; ; tries++) {
+    if (child.exitCode !== null) throw new Error(`server exited early:\n${output}`);
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch {
+      // not listening yet
+    }
+    if (tries >= 100) {
+      await stop();
+      throw new Error(`server did not start:\n${output}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return { url, stop, output: () => output };
+}
+
+export function postJson(url, body) {
+  return fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+}
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Each redaction mode is read when log.js loads, so every mode gets a fresh copy of the module
+process.env.LOG_LEVEL = "info";
+delete process.env.LOG_REDACT_FIELDS;
+let loads = 0;
+function loadLog(mode) {
+  process.env.LOG_REDACT = mode;
+  return import(`../src/server/log.js?load=${++loads}`);
+}
+
+// The parsed lines fn() logs
+function capture(fn) {
+  const lines = [];
+  const { stdout, stderr } = process;
+  const [out, err] = [stdout.write, stderr.write];
+  stdout.write = stderr.write = (text) => {
+    lines.push(JSON.parse(text));
+    return true;
+  };
+  try {
+    fn();
+  } finally {
+    stdout.write = out;
+    stderr.write = err;
+  }
+  return lines;
+}
+
+const fields = {
+  user: "alice",
+  Query: "What is my credit score?",
+  inputs: { region: "TX" },
+  turn: { answer: "It is 720", latency_ms: 900 },
+  note: "mail bob@example.com for help",
+  authorization: "Bearer app-secret",
+  empty: { text: "" },
+};
+
+test("PII fields are masked at any depth, secrets and emails too", async () => {
+  const { createLogger } = await loadLog("mask");
+  const [line] = capture(() => createLogger("test").info("hello", fields));
+  assert.equal(line.level, "info");
+  assert.equal(line.component, "test");
+  assert.equal(line.msg, "hello");
+  assert.equal(line.user, "[redacted]");
+  assert.equal(line.Query, "[redacted]");
+  assert.equal(line.inputs, "[redacted]");
+  assert.deepEqual(line.turn, { answer: "[redacted]", latency_ms: 900 });
+  assert.equal(line.note, "mail [email] for help");
+  assert.equal(line.authorization, "[redacted]");
+  assert.deepEqual(line.empty, { text: "" });
+});
+
+test("hash mode writes the same short digest for the same value", async () => {
+  const { createLogger } = await loadLog("hash");
+  const [first, second] = capture(() => {
+    createLogger("test").info("one", { user: "alice" });
+    createLogger("test").info("two", { user: "alice", query: "other" });
+  });
+  assert.match(first.user, /^sha256:[0-9a-f]{12}$/);
+  assert.equal(first.user, second.user);
+  assert.notEqual(second.query, second.user);
+});
+
+test("off leaves PII alone but still masks credentials", async () => {
+  const { createLogger } = await loadLog("off");
+  const [line] = capture(() => createLogger("test").info("hello", fields));
+  assert.equal(line.user, "alice");
+  assert.equal(line.note, "mail bob@example.com for help");
+  assert.equal(line.authorization, "[redacted]");
+});
+
+test("errors are flattened, with a stack only when they have no code", async () => {
+  const { createLogger } = await loadLog("mask");
+  const upstream = Object.assign(new Error("upstream down"), { code: "upstream_error", status: 502 });
+  const [coded, bug] = capture(() => {
+    createLogger("test").error("failed", { err: upstream });
+    createLogger("test").error("failed", { err: new TypeError("x is undefined") });
+  });
+  assert.deepEqual(coded.err, { name: "Error", message: "upstream down", code: "upstream_error", status: 502 });
+  assert.equal(bug.err.name, "TypeError");
+  assert.match(bug.err.stack, /TypeError/);
+});
+
+test("lines below LOG_LEVEL are dropped and the context is added", async () => {
+  const { createLogger, runWithContext } = await loadLog("mask");
+  const log = createLogger("test").child({ bot: "toby" });
+  const lines = capture(() => {
+    log.debug("hidden");
+    runWithContext({ request_id: "req-1" }, () => log.warn("shown"));
+  });
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].request_id, "req-1");
+  assert.equal(lines[0].bot, "toby");
+  assert.equal(lines[0].level, "warn");
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { counter, gauge, histogram, renderMetrics, serveMetrics } from "../src/server/metrics.js";
+
+// The lines of one metric in the /metrics text
+const linesOf = (name) => renderMetrics().split("\n").filter((line) => line.includes(`hpai_${name}`));
+
+test("counters and gauges render one line per label set", () => {
+  const turns = counter("test_turns_total", "Turns", ["bot"]);
+  turns.inc({ bot: "toby" });
+  turns.inc({ bot: "toby" }, 2);
+  turns.inc({ bot: 'say "hi"\n' });
+  turns.inc();
+  assert.deepEqual(linesOf("test_turns_total"), [
+    "# HELP hpai_test_turns_total Turns",
+    "# TYPE hpai_test_turns_total counter",
+    'hpai_test_turns_total{bot="toby"} 3',
+    'hpai_test_turns_total{bot="say \\"hi\\"\\n"} 1',
+    'hpai_test_turns_total{bot=""} 1',
+  ]);
+
+  const open = gauge("test_open", "Open things");
+  assert.deepEqual(linesOf("test_open").slice(2), ["hpai_test_open 0"]);
+  open.inc();
+  open.inc();
+  open.dec();
+  assert.deepEqual(linesOf("test_open").slice(2), ["hpai_test_open 1"]);
+  open.set({}, 7);
+  assert.deepEqual(linesOf("test_open").slice(2), ["hpai_test_open 7"]);
+});
+
+test("histograms render cumulative buckets, a sum and a count", () => {
+  const took = histogram("test_took_seconds", "Time taken", ["outcome"], [0.5, 1]);
+  assert.deepEqual(linesOf("test_took_seconds").slice(2), []);
+  took.observe({ outcome: "ok" }, 0.2);
+  took.observe({ outcome: "ok" }, 0.7);
+  took.observe({ outcome: "ok" }, 3);
+  assert.deepEqual(linesOf("test_took_seconds").slice(2), [
+    'hpai_test_took_seconds_bucket{outcome="ok",le="0.5"} 1',
+    'hpai_test_took_seconds_bucket{outcome="ok",le="1"} 2',
+    'hpai_test_took_seconds_bucket{outcome="ok",le="+Inf"} 3',
+    'hpai_test_took_seconds_sum{outcome="ok"} 3.9',
+    'hpai_test_took_seconds_count{outcome="ok"} 3',
+  ]);
+
+  took.startTimer({ outcome: "error" })({ outcome: "aborted" });
+  assert.ok(linesOf("test_took_seconds").includes('hpai_test_took_seconds_count{outcome="aborted"} 1'));
+});
+
+test("the server's own metrics are declared", () => {
+  const text = renderMetrics();
+  for (const name of ["chat_request_duration_seconds", "upstream_errors_total", "voice_sessions_active", "rate_limit_rejections_total"]) {
+    assert.match(text, new RegExp(`^# TYPE hpai_${name} `, "m"));
+  }
+});
+
+test("METRICS_TOKEN guards /metrics", () => {
+  const call = (authorization) => {
+    const res = { headers: {} };
+    res.status = (code) => ((res.code = code), res);
+    res.type = () => res;
+    res.set = (name, value) => ((res.headers[name] = value), res);
+    res.send = (body) => ((res.body = body), res);
+    serveMetrics({ get: () => authorization }, res);
+    return res;
+  };
+  process.env.METRICS_TOKEN = "s3cret";
+  try {
+    assert.equal(call(undefined).code, 401);
+    assert.equal(call("Bearer wrong").code, 401);
+    const ok = call("Bearer s3cret");
+    assert.equal(ok.code, undefined);
+    assert.match(ok.headers["Content-Type"], /^text\/plain; version=0\.0\.4/);
+    assert.match(ok.body, /# TYPE hpai_/);
+  } finally {
+    delete process.env.METRICS_TOKEN;
+  }
+  assert.equal(call(undefined).code, undefined);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CLIENT_MESSAGES, ERROR_CODES, SERVER_MESSAGES, negotiateProtocol, parseClientMessage, validateMessage } from "../src/shared/protocol.js";
+
+test("accepts messages with their required fields and valid optional ones", () => {
+  assert.equal(validateMessage(CLIENT_MESSAGES, { type: "text", text: "hi", conversation_id: "c1" }), null);
+  assert.equal(validateMessage(CLIENT_MESSAGES, { type: "stop" }), null);
+  assert.equal(validateMessage(SERVER_MESSAGES, { type: "timeout", max_ms: 1000 }), null);
+});
+
+test("rejects a missing required field or a wrong type", () => {
+  assert.equal(validateMessage(CLIENT_MESSAGES, { type: "text" }).code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateMessage(CLIENT_MESSAGES, { type: "text", text: 1 }).message, "'text.text' must be a string");
+  assert.equal(validateMessage(CLIENT_MESSAGES, { type: "start", inputs: [] }).code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateMessage(CLIENT_MESSAGES, { type: "start", user: null }).code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test("rejects non-objects and unknown or inherited types", () => {
+  for (const msg of [null, [], "stop", { type: 1 }]) {
+    assert.equal(validateMessage(CLIENT_MESSAGES, msg).code, ERROR_CODES.INVALID_MESSAGE);
+  }
+  for (const type of ["hello", "constructor", "toString", "__proto__"]) {
+    assert.equal(validateMessage(CLIENT_MESSAGES, { type }).code, ERROR_CODES.UNKNOWN_TYPE);
+  }
+});
+
+test("parseClientMessage reports bad JSON", () => {
+  assert.equal(parseClientMessage("{").error.code, ERROR_CODES.INVALID_JSON);
+  assert.deepEqual(parseClientMessage('{"type":"cancel"}'), { msg: { type: "cancel" } });
+});
+
+test("negotiateProtocol defaults to the current version and refuses unknown ones", () => {
+  assert.equal(negotiateProtocol(undefined), negotiateProtocol("1"));
+  assert.equal(negotiateProtocol("99"), null);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LIMITS, acquireVoiceSession, addTokens, checkAudioBudget, takeChatTurn } from "../src/server/rateLimit.js";
+
+test("takeChatTurn allows requestsPerMinute turns per key, then reports the wait", (t) => {
+  t.after(() => Object.assign(LIMITS, { requestsPerMinute: 20 }));
+  LIMITS.requestsPerMinute = 2;
+  assert.equal(takeChatTurn("rpm-a"), null);
+  assert.equal(takeChatTurn("rpm-a"), null);
+  const limit = takeChatTurn("rpm-a");
+  assert.equal(limit.reason, "requests_per_minute");
+  assert.ok(limit.retry_after > 0 && limit.retry_after <= 60);
+  assert.equal(takeChatTurn("rpm-b"), null);
+});
+
+test("takeChatTurn refuses a key over its daily token budget", () => {
+  addTokens("tokens-a", { total_tokens: LIMITS.dailyTokens });
+  assert.equal(takeChatTurn("tokens-a").reason, "daily_tokens");
+});
+
+test("voice session slots are freed once by release", (t) => {
+  t.after(() => Object.assign(LIMITS, { voiceSessions: 2 }));
+  LIMITS.voiceSessions = 1;
+  const first = acquireVoiceSession("voice-a");
+  assert.ok(first.release);
+  assert.equal(acquireVoiceSession("voice-a").limit.reason, "voice_sessions");
+  first.release();
+  first.release();
+  const second = acquireVoiceSession("voice-a");
+  assert.ok(second.release);
+  assert.equal(acquireVoiceSession("voice-a").limit.reason, "voice_sessions");
+  second.release();
+});
+
+test("checkAudioBudget caps recorded time and bytes per session", () => {
+  assert.equal(checkAudioBudget(0, 0), null);
+  assert.equal(checkAudioBudget(LIMITS.audioSecondsPerSession * 1000).reason, "audio_seconds");
+  assert.equal(checkAudioBudget(0, LIMITS.audioBytesPerSession).reason, "audio_bytes");
+});
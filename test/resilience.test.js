@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getEventListeners } from "events";
+import { ERROR_CODES } from "../src/shared/protocol.js";
+import { UpstreamError, createBreaker, describeFailure, sleep } from "../src/server/llm/resilience.js";
+
+const outage = () => Promise.reject(new UpstreamError("down", { status: 503 }));
+
+test("the breaker opens after consecutive outages and fails fast", async () => {
+  const breaker = createBreaker({ failures: 2, cooldownMs: 60000 });
+  await assert.rejects(breaker.run(outage), { status: 503 });
+  assert.equal(breaker.state().state, "closed");
+  await assert.rejects(breaker.run(outage), { status: 503 });
+  assert.equal(breaker.state().state, "open");
+
+  let called = false;
+  await assert.rejects(
+    breaker.run(async () => (called = true)),
+    (err) => err.code === ERROR_CODES.UPSTREAM_UNAVAILABLE && err.retryAfter > 0
+  );
+  assert.equal(called, false);
+});
+
+test("client errors and successes do not open the breaker", async () => {
+  const breaker = createBreaker({ failures: 2, cooldownMs: 60000 });
+  await assert.rejects(breaker.run(outage));
+  assert.equal(await breaker.run(async () => "ok"), "ok");
+  await assert.rejects(breaker.run(outage));
+  await assert.rejects(breaker.run(() => Promise.reject(new UpstreamError("bad request", { status: 400 }))));
+  assert.deepEqual(breaker.state(), { state: "closed", failures: 1 });
+});
+
+test("after the cooldown one trial call goes through and closes the breaker", async () => {
+  const breaker = createBreaker({ failures: 1, cooldownMs: 0 });
+  await assert.rejects(breaker.run(outage));
+  assert.equal(breaker.state().state, "half_open");
+  assert.equal(await breaker.run(async () => "ok"), "ok");
+  assert.equal(breaker.state().state, "closed");
+});
+
+test("describeFailure maps errors to a status and code without leaking the raw message", () => {
+  const unavailable = describeFailure(new UpstreamError("x", { code: ERROR_CODES.UPSTREAM_UNAVAILABLE, retryAfter: 5 }), "Toby");
+  assert.deepEqual([unavailable.status, unavailable.code, unavailable.retry_after], [503, ERROR_CODES.UPSTREAM_UNAVAILABLE, 5]);
+  assert.equal(describeFailure(new UpstreamError("x", { code: ERROR_CODES.UPSTREAM_TIMEOUT })).status, 504);
+  const failed = describeFailure(new UpstreamError("secret stack trace"), "Toby");
+  assert.equal(failed.status, 502);
+  assert.ok(failed.message.startsWith("Toby") && !failed.message.includes("secret"));
+});
+
+test("sleep leaves no abort listener behind and rejects with the abort reason", async () => {
+  const controller = new AbortController();
+  await sleep(1, controller.signal);
+  await sleep(1, controller.signal);
+  assert.equal(getEventListeners(controller.signal, "abort").length, 0);
+
+  const pending = sleep(60000, controller.signal);
+  controller.abort(new Error("cancelled"));
+  await assert.rejects(pending, /cancelled/);
+  await assert.rejects(sleep(1, controller.signal), /cancelled/);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSentenceSplitter, speakableText } from "../src/server/sentences.js";
+
+test("emits each sentence once its boundary arrives", () => {
+  const splitter = createSentenceSplitter({ minChars: 0 });
+  assert.deepEqual(splitter.push("Hello there"), []);
+  assert.deepEqual(splitter.push(". How are"), ["Hello there."]);
+  assert.deepEqual(splitter.push(" you?"), []);
+  assert.deepEqual(splitter.push(" Fine"), ["How are you?"]);
+  assert.equal(splitter.flush(), "Fine");
+  assert.equal(splitter.flush(), null);
+});
+
+test("holds short fragments back until they reach minChars", () => {
+  const splitter = createSentenceSplitter({ minChars: 20 });
+  assert.deepEqual(splitter.push("Yes. Sure. "), []);
+  assert.deepEqual(splitter.push("That is a longer one. "), ["Yes. Sure. That is a longer one."]);
+});
+
+test("line breaks end a sentence and Markdown is not read out", () => {
+  const splitter = createSentenceSplitter({ minChars: 0 });
+  assert.deepEqual(splitter.push("## Options\n- **FHA** loans\n"), ["Options", "FHA loans"]);
+  assert.equal(speakableText("See [the guide](https://x.test) and `code`"), "See the guide and code");
+  assert.equal(speakableText("```js\nx()\n```"), "");
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// A short grace period and replay log; imported after the env is set
+process.env.VOICE_SESSION_GRACE_MS = "20";
+process.env.VOICE_REPLAY_LIMIT = "3";
+const { createSession, findSession } = await import("../src/server/sessions.js");
+
+// Just enough of a ws.WebSocket: records what it was sent and how it was closed
+function fakeSocket() {
+  return {
+    OPEN: 1,
+    readyState: 1,
+    sent: [],
+    closedWith: null,
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    close(code) {
+      this.closedWith = code;
+      this.readyState = 3;
+    },
+  };
+}
+
+const seqs = (ws) => ws.sent.filter((m) => m.type === "partial_answer").map((m) => m.event_seq);
+
+test("events get increasing event_seq and reach the attached socket", () => {
+  const session = createSession();
+  const ws = fakeSocket();
+  session.attach(ws, { type: "session" });
+  assert.deepEqual(ws.sent[0], { type: "session", session_id: session.id, last_seq: 0 });
+  session.send({ type: "partial_answer", text: "a" });
+  session.send({ type: "partial_answer", text: "ab" });
+  assert.deepEqual(seqs(ws), [1, 2]);
+  assert.equal(findSession(session.id), session);
+  session.close();
+});
+
+test("a reconnect replays what came after last_seq, in order", () => {
+  const session = createSession();
+  const first = fakeSocket();
+  session.attach(first, { type: "session" });
+  session.send({ type: "partial_answer", text: "a" });
+  session.detach(first);
+  session.send({ type: "partial_answer", text: "ab" });
+  session.send({ type: "partial_answer", text: "abc" });
+  assert.deepEqual(seqs(first), [1]);
+
+  const second = fakeSocket();
+  session.attach(second, { type: "session" }, 1);
+  assert.equal(second.sent[0].last_seq, 3);
+  assert.deepEqual(seqs(second), [2, 3]);
+  session.close();
+});
+
+test("only the last VOICE_REPLAY_LIMIT events are kept for replay", () => {
+  const session = createSession();
+  for (const text of ["a", "b", "c", "d", "e"]) session.send({ type: "partial_answer", text });
+  const ws = fakeSocket();
+  session.attach(ws, { type: "session" });
+  assert.deepEqual(seqs(ws), [3, 4, 5]);
+  session.close();
+});
+
+test("a newer socket replaces the attached one", () => {
+  const session = createSession();
+  const first = fakeSocket();
+  const second = fakeSocket();
+  session.attach(first, { type: "session" });
+  session.attach(second, { type: "session" });
+  assert.equal(first.closedWith, 4000);
+  session.send({ type: "partial_answer", text: "a" });
+  assert.deepEqual(seqs(first), []);
+  assert.deepEqual(seqs(second), [1]);
+  // The replaced socket's close must not detach the session from the new one
+  session.detach(first);
+  assert.equal(session.ws, second);
+  session.close();
+});
+
+test("a detached session expires after the grace period, once", async () => {
+  let expired = 0;
+  const session = createSession({ onExpire: () => expired++ });
+  const ws = fakeSocket();
+  session.attach(ws, { type: "session" });
+  session.detach(ws);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(expired, 1);
+  assert.equal(findSession(session.id), null);
+  session.close();
+  assert.equal(expired, 1);
+});
+
+test("reattaching within the grace period keeps the session", async () => {
+  let expired = 0;
+  const session = createSession({ onExpire: () => expired++ });
+  const first = fakeSocket();
+  session.attach(first, { type: "session" });
+  session.detach(first);
+  session.attach(fakeSocket(), { type: "session" }, 0);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(expired, 0);
+  assert.equal(findSession(session.id), session);
+  session.close();
+  assert.equal(expired, 1);
+});
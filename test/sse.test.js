@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatSseEvent, readSseEvents } from "../src/shared/sse.js";
+
+function bodyOf(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+      controller.close();
+    },
+  });
+}
+
+async function readAll(chunks) {
+  const events = [];
+  for await (const evt of readSseEvents(bodyOf(chunks))) events.push(evt);
+  return events;
+}
+
+test("reads events split across chunks", async () => {
+  const raw = formatSseEvent("message", { answer: "Hi" }) + formatSseEvent("message_end", {});
+  assert.deepEqual(await readAll([raw.slice(0, 10), raw.slice(10, 30), raw.slice(30)]), [
+    { event: "message", data: '{"answer":"Hi"}' },
+    { event: "message_end", data: "{}" },
+  ]);
+});
+
+test("joins multi-line data and skips comments", async () => {
+  assert.deepEqual(await readAll([": keep-alive\n\ndata: a\ndata: b\n\n"]), [{ event: "message", data: "a\nb" }]);
+});
+
+test("a CRLF split between chunks is one line break", async () => {
+  assert.deepEqual(await readAll(["data: 1\r", "\n\r", "\ndata: 2\r\n\r\n"]), [
+    { event: "message", data: "1" },
+    { event: "message", data: "2" },
+  ]);
+});
+
+test("parses a last event without the closing blank line", async () => {
+  assert.deepEqual(await readAll(["data: end\r"]), [{ event: "message", data: "end" }]);
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Keep the store in memory; imported after the env is set
+process.env.CONVERSATION_STORE = "memory";
+const { canContinueConversation, deleteConversation, getConversation, isConversationId, listConversations, recordExchange, renameConversation } = await import("../src/server/store.js");
+
+const exchange = (fields) =>
+  recordExchange({ mode: "text", query: "Hi", answer: "Hello", messageId: "m1", startedAt: 1000, finishedAt: 1500, ...fields });
+
+test("isConversationId accepts backend ids only", () => {
+  assert.equal(isConversationId("3f2a9c4e-1b7d-4e0a-9c1f-2a6b8d4e5f60"), true);
+  assert.equal(isConversationId("conv_1"), true);
+  assert.equal(isConversationId(""), false);
+  assert.equal(isConversationId("a".repeat(65)), false);
+  assert.equal(isConversationId("../etc/passwd"), false);
+  assert.equal(isConversationId(42), false);
+});
+
+test("recordExchange appends a user and an assistant turn per exchange", () => {
+  exchange({ conversationId: "record-1", user: "alice", query: "What is an FHA loan?", mode: "voice" });
+  exchange({ conversationId: "record-1", user: "alice", query: "And the down payment?", answer: "3.5%", messageId: "m2", startedAt: 2000, finishedAt: 2600 });
+  const convo = getConversation("record-1");
+  assert.equal(convo.title, "What is an FHA loan?");
+  assert.equal(convo.user, "alice");
+  assert.equal(convo.mode, "mixed");
+  assert.equal(convo.turn_count, 4);
+  assert.equal(convo.preview, "3.5%");
+  assert.deepEqual(convo.turns.map((t) => `${t.role}:${t.text}`), [
+    "user:What is an FHA loan?",
+    "assistant:Hello",
+    "user:And the down payment?",
+    "assistant:3.5%",
+  ]);
+  assert.equal(convo.turns[3].message_id, "m2");
+  assert.equal(convo.turns[3].latency_ms, 600);
+  assert.equal(convo.updated_at, new Date(2600).toISOString());
+});
+
+test("long questions are cut to a short title", () => {
+  exchange({ conversationId: "record-title", query: "x".repeat(100) });
+  const { title } = getConversation("record-title");
+  assert.equal(title.length, 60);
+  assert.ok(title.endsWith("…"));
+});
+
+test("exchanges without a usable conversation id are not recorded", () => {
+  assert.equal(exchange({ conversationId: "" }), null);
+  assert.equal(exchange({ conversationId: "not an id" }), null);
+  assert.equal(getConversation("not an id"), null);
+});
+
+test("ids like __proto__ are plain keys, not Object.prototype", () => {
+  assert.equal(getConversation("__proto__"), null);
+  assert.equal(getConversation("constructor"), null);
+  exchange({ conversationId: "__proto__", user: "mallory" });
+  assert.equal(getConversation("__proto__").user, "mallory");
+  assert.equal({}.user, undefined);
+});
+
+test("listConversations filters by user, newest first", () => {
+  exchange({ conversationId: "list-old", user: "bob", startedAt: 5000, finishedAt: 5100 });
+  exchange({ conversationId: "list-new", user: "bob", startedAt: 6000, finishedAt: 6100 });
+  exchange({ conversationId: "list-other", user: "carol", startedAt: 7000, finishedAt: 7100 });
+  assert.deepEqual(listConversations({ user: "bob" }).map((c) => c.id), ["list-new", "list-old"]);
+  assert.deepEqual(listConversations({ user: "carol" }).map((c) => c.id), ["list-other"]);
+  assert.ok(listConversations().length >= 3);
+  assert.equal(listConversations({ user: "bob" })[0].turns, undefined);
+});
+
+test("renameConversation changes the title only", () => {
+  exchange({ conversationId: "rename-1", user: "dave" });
+  const renamed = renameConversation("rename-1", "FHA questions");
+  assert.equal(renamed.title, "FHA questions");
+  assert.equal(getConversation("rename-1").title, "FHA questions");
+  assert.equal(getConversation("rename-1").turn_count, 2);
+  assert.equal(renameConversation("rename-missing", "x"), null);
+});
+
+test("deleteConversation removes the thread once", () => {
+  exchange({ conversationId: "delete-1", user: "erin" });
+  assert.equal(deleteConversation("delete-1"), true);
+  assert.equal(getConversation("delete-1"), null);
+  assert.deepEqual(listConversations({ user: "erin" }), []);
+  assert.equal(deleteConversation("delete-1"), false);
+  assert.equal(deleteConversation("constructor"), false);
+});
+
+test("only the owner continues a thread, and only with its bot", () => {
+  exchange({ conversationId: "owned-1", user: "frank", bot: "toby" });
+  assert.equal(canContinueConversation("owned-1", { user: "frank", bot: "toby" }), true);
+  assert.equal(canContinueConversation("owned-1", { user: "grace", bot: "toby" }), false);
+  assert.equal(canContinueConversation("owned-1", { user: "frank", bot: "ava" }), false);
+  assert.equal(canContinueConversation("owned-1", { bot: "toby" }), false);
+  assert.equal(canContinueConversation("never-seen", { user: "grace", bot: "toby" }), true);
+});
+
+test("a turn into someone else's thread is not recorded", () => {
+  exchange({ conversationId: "owned-2", user: "frank", bot: "toby" });
+  assert.equal(exchange({ conversationId: "owned-2", user: "grace", bot: "toby", query: "Mine now?" }), null);
+  assert.equal(exchange({ conversationId: "owned-2", user: "frank", bot: "ava" }), null);
+  assert.equal(getConversation("owned-2").turn_count, 2);
+  assert.ok(exchange({ conversationId: "owned-2", user: "frank", bot: "toby" }));
+  assert.equal(getConversation("owned-2").turn_count, 4);
+});
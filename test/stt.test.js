@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RecognitionStream } from "../src/server/stt/index.js";
+import { createFakeRecognizer } from "../src/server/stt/fake.js";
+
+const stream = (recognizer, options) => new RecognitionStream(recognizer, { partialIntervalMs: 0, ...options });
+
+test("the fake recognizer gives each utterance the next transcript line", async () => {
+  const recognizer = createFakeRecognizer({ bytesPerWord: 10 });
+  const first = stream(recognizer);
+  first.write(Buffer.alloc(25));
+  assert.equal(await recognizer.transcribe(first.audio, { final: false, utteranceId: first.utteranceId }), "What programs can");
+  const finals = [];
+  first.on("final", (text) => finals.push(text));
+  assert.equal(await first.finish(), "What programs can you offer me today?");
+  assert.deepEqual(finals, ["What programs can you offer me today?"]);
+
+  const second = stream(recognizer);
+  second.write(Buffer.alloc(1));
+  assert.equal(await second.finish(), "What credit score do I need for an FHA loan?");
+});
+
+test("an utterance without audio finishes empty", async () => {
+  assert.equal(await stream(createFakeRecognizer()).finish(), "");
+});
+
+test("write refuses chunks past maxBytes and after the stream closed", async () => {
+  const recognition = stream(createFakeRecognizer(), { maxBytes: 100 });
+  assert.equal(recognition.write(Buffer.alloc(60)), true);
+  assert.equal(recognition.write(Buffer.alloc(60)), false);
+  assert.equal(recognition.write(Buffer.alloc(40)), true);
+  assert.equal(recognition.bytes, 100);
+  recognition.abort();
+  assert.equal(recognition.write(Buffer.alloc(1)), false);
+});
+
+test("end follows a finish, an abort and a failed final transcription", async () => {
+  const ends = (recognition) => {
+    let count = 0;
+    recognition.on("end", () => count++);
+    return () => count;
+  };
+  const finished = stream(createFakeRecognizer());
+  const finishedEnds = ends(finished);
+  await finished.finish();
+  assert.equal(finishedEnds(), 1);
+
+  const aborted = stream(createFakeRecognizer());
+  const abortedEnds = ends(aborted);
+  aborted.abort();
+  assert.equal(abortedEnds(), 1);
+
+  const failing = stream({ name: "failing", transcribe: async () => { throw new Error("STT down"); } });
+  const failingEnds = ends(failing);
+  failing.write(Buffer.alloc(10));
+  await assert.rejects(failing.finish(), /STT down/);
+  assert.equal(failingEnds(), 1);
+});
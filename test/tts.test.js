@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createToneSynthesizer } from "../src/server/tts/tone.js";
+
+test("the tone synthesizer renders a WAV whose length follows the text", async () => {
+  const tts = createToneSynthesizer({ msPerWord: 100, maxMs: 1000 });
+  const short = await tts.synthesize("one two three");
+  assert.equal(short.contentType, "audio/wav");
+  assert.equal(short.audio.toString("ascii", 0, 4), "RIFF");
+  assert.equal(short.audio.toString("ascii", 8, 12), "WAVE");
+  const dataBytes = (ms) => Math.round((16000 * ms) / 1000) * 2;
+  assert.equal(short.audio.readUInt32LE(40), dataBytes(300));
+  assert.equal((await tts.synthesize("word ".repeat(50))).audio.readUInt32LE(40), dataBytes(1000));
+  assert.equal((await tts.synthesize("")).audio.readUInt32LE(40), dataBytes(200));
+});
+
+test("each voice gets its own pitch", async () => {
+  const tts = createToneSynthesizer();
+  const a = await tts.synthesize("hello", { voiceId: "a" });
+  const b = await tts.synthesize("hello", { voiceId: "b" });
+  assert.equal(a.audio.length, b.audio.length);
+  assert.notDeepEqual(a.audio, b.audio);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Small limits, and a type list with an unknown (svg) and an odd spelling (.TXT); imported after the env is set
+process.env.UPLOAD_MAX_BYTES = "1000";
+process.env.UPLOAD_MAX_FILES = "2";
+process.env.UPLOAD_TYPES = "pdf, png,svg,.TXT";
+const { UPLOAD_LIMITS, checkUpload, formatBytes, toChatFiles } = await import("../src/server/uploads.js");
+
+test("UPLOAD_TYPES keeps the known extensions only", () => {
+  assert.deepEqual(UPLOAD_LIMITS.extensions, ["pdf", "png", "txt"]);
+});
+
+test("checkUpload decides the type from the extension", () => {
+  assert.deepEqual(checkUpload({ name: "rates.PDF", size: 10 }), { mimeType: "application/pdf", type: "document" });
+  assert.deepEqual(checkUpload({ name: "house.png", size: 10 }), { mimeType: "image/png", type: "image" });
+  assert.deepEqual(checkUpload({ name: "notes.txt", size: 10 }), { mimeType: "text/plain", type: "document" });
+});
+
+test("checkUpload refuses other types, empty and oversized files and bad names", () => {
+  assert.equal(checkUpload({ name: "logo.svg", size: 10 }).status, 415);
+  assert.equal(checkUpload({ name: "sheet.xlsx", size: 10 }).status, 415);
+  assert.match(checkUpload({ name: "README", size: 10 }).error, /Unsupported file type\./);
+  assert.equal(checkUpload({ name: "rates.pdf", size: 0 }).status, 400);
+  assert.equal(checkUpload({ name: "rates.pdf", size: 1001 }).status, 413);
+  assert.equal(checkUpload({ name: "rates.pdf", size: 1000 }).status, undefined);
+  assert.equal(checkUpload({ name: "", size: 10 }).status, 400);
+  assert.equal(checkUpload({ name: `${"a".repeat(252)}.pdf`, size: 10 }).status, 400);
+});
+
+test("toChatFiles turns uploads into Dify chat files", () => {
+  assert.deepEqual(toChatFiles(undefined), { files: [] });
+  assert.deepEqual(toChatFiles([{ id: "f1", type: "image" }, { id: "f2", type: "document", name: "ignored" }]), {
+    files: [
+      { type: "image", transfer_method: "local_file", upload_file_id: "f1" },
+      { type: "document", transfer_method: "local_file", upload_file_id: "f2" },
+    ],
+  });
+});
+
+test("toChatFiles refuses anything but a short list of uploaded ids", () => {
+  assert.match(toChatFiles({ id: "f1", type: "image" }).error, /must be an array/);
+  assert.match(toChatFiles([1, 2, 3].map((i) => ({ id: `f${i}`, type: "image" }))).error, /At most 2/);
+  assert.ok(toChatFiles([{ id: "", type: "image" }]).error);
+  assert.ok(toChatFiles([{ id: "f1", type: "video" }]).error);
+  assert.ok(toChatFiles([{ id: "f1", type: "image", transfer_method: "remote_url" }, null]).error);
+});
+
+test("formatBytes", () => {
+  assert.equal(formatBytes(512), "512 B");
+  assert.equal(formatBytes(15 * 1024), "15 KB");
+  assert.equal(formatBytes(15 * 1024 * 1024), "15 MB");
+  assert.equal(formatBytes(1.5 * 1024 * 1024), "1.5 MB");
+});